@@ -0,0 +1,269 @@
+// Rule-based alerts on tracked detections: presence time, object counts and disappearance
+//
+// A rule watches one class, optionally inside a zone. It alerts once each time
+// its condition becomes true, and not again until the condition has cleared
+// and the cooldown since the last alert has passed.
+import { anchorPoint, pointInPolygon } from './zones.js';
+import { trackKey } from './tracker.js';
+
+const STORAGE_KEY = 'object-detection.alerts';
+
+export const RULE_TYPES = ['presence', 'count', 'absence'];
+
+const ALERT_ACTIONS = ['chime', 'notification', 'toast', 'snapshot'];
+
+const DEFAULT_ALERT_OPTIONS = {
+  trackGrace: 1000 // ms a tracked object may go missing before its presence time restarts
+};
+
+export class AlertEngine {
+  /**
+   * @param {Storage} storage - Where rules persist (localStorage by default)
+   */
+  constructor(storage = globalThis.localStorage ?? null, options = {}) {
+    this.storage = storage;
+    this.options = { ...DEFAULT_ALERT_OPTIONS, ...options };
+    this.rules = [];
+    this.state = new Map(); // rule id -> { alerted, lastAlert, lastSeen, since, lastTimestamp }
+    this.nextId = 1;
+  }
+
+  load() {
+    this.rules = [];
+    try {
+      const saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) || '[]');
+      this.rules = saved.filter(isValidRule);
+    } catch (error) {
+      console.warn('⚠️ Ignoring saved alert rules:', error.message);
+    }
+    this.nextId = this.rules.reduce((max, rule) => Math.max(max, rule.id), 0) + 1;
+    this.state.clear();
+    return this.rules;
+  }
+
+  save() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.rules));
+    } catch (error) {
+      console.warn('⚠️ Could not save alert rules:', error.message);
+    }
+  }
+
+  /**
+   * Add a rule and persist it
+   * @param {Object} fields - { type, className, zoneId, threshold, cooldown (s), actions, enabled }
+   */
+  addRule(fields) {
+    const rule = { id: this.nextId++, ...normalizeRule(fields) };
+    this.rules.push(rule);
+    this.save();
+    console.log(`🔔 Added alert rule ${rule.id}: ${rule.type} of ${rule.className}`);
+    return rule;
+  }
+
+  updateRule(id, fields) {
+    const index = this.rules.findIndex(rule => rule.id === id);
+    if (index === -1) {
+      throw new Error(`Unknown alert rule ${id}`);
+    }
+
+    this.rules[index] = { id, ...normalizeRule({ ...this.rules[index], ...fields }) };
+    this.state.delete(id);
+    this.save();
+    return this.rules[index];
+  }
+
+  removeRule(id) {
+    this.rules = this.rules.filter(rule => rule.id !== id);
+    this.state.delete(id);
+    this.save();
+  }
+
+  getRule(id) {
+    return this.rules.find(rule => rule.id === id) || null;
+  }
+
+  /**
+   * Check every enabled rule against a frame's detections
+   * @param {Object[]} detections - Tracked detections; presence rules only see confirmed tracks
+   * @param {Object} context - { timestamp (the tracker's clock, ms), frameDimensions, labels (LabelSet), zones }
+   * @returns {Object[]} - { rule, message, time } for each rule that alerts on this frame
+   */
+  evaluate(detections, { timestamp, frameDimensions, labels, zones = [] }) {
+    const alerts = [];
+
+    for (const rule of this.rules) {
+      if (!rule.enabled) continue;
+
+      let state = this.state.get(rule.id);
+      // Time going backwards (a seek, or a new clock) starts the rule over
+      if (!state || timestamp < state.lastTimestamp) {
+        state = { alerted: false, lastAlert: -Infinity, lastSeen: null, since: new Map(), lastTimestamp: timestamp };
+        this.state.set(rule.id, state);
+      }
+      state.lastTimestamp = timestamp;
+
+      const zone = rule.zoneId === null ? null : zones.find(candidate => candidate.id === rule.zoneId);
+      if (rule.zoneId !== null && !zone) continue; // The zone was deleted
+
+      const matching = detections.filter(detection => {
+        const className = labels ? labels.getName(detection.classId) : detection.label;
+        if (className !== rule.className) return false;
+        if (!zone) return true;
+        const anchor = anchorPoint(detection, frameDimensions);
+        return !!anchor && pointInPolygon(anchor, zone.points);
+      });
+
+      const value = measure(rule, matching, state, timestamp, this.options);
+      const triggered = rule.type === 'count' ? value > rule.threshold : value > rule.threshold * 1000;
+      if (!triggered) {
+        state.alerted = false;
+        continue;
+      }
+      if (state.alerted || timestamp - state.lastAlert < rule.cooldown * 1000) continue;
+
+      state.alerted = true;
+      state.lastAlert = timestamp;
+      alerts.push({
+        rule,
+        message: alertMessage(rule, value, labels, zone),
+        time: timestamp
+      });
+    }
+
+    return alerts;
+  }
+
+  // Forget what each rule has seen, e.g. when switching inputs; rules themselves are kept
+  resetState() {
+    this.state.clear();
+  }
+}
+
+/**
+ * One-line summary of a rule, e.g. "Person present for more than 10 s in Desk"
+ * @param {Object} rule - Alert rule
+ * @param {string} zoneName - Name of the rule's zone, if it has one
+ */
+export function describeRule(rule, zoneName = null) {
+  const where = rule.zoneId === null ? '' : ` in ${zoneName ?? 'a deleted zone'}`;
+  switch (rule.type) {
+    case 'presence':
+      return `${rule.className} present for more than ${rule.threshold} s${where}`;
+    case 'count':
+      return `more than ${rule.threshold} ${rule.className}${where}`;
+    default:
+      return `${rule.className} gone for more than ${rule.threshold} s${where}`;
+  }
+}
+
+/**
+ * Short two-tone chime; the audio context must have been created after a user gesture
+ * @param {AudioContext} audioContext
+ */
+export function playChime(audioContext) {
+  const start = audioContext.currentTime;
+  [880, 660].forEach((frequency, index) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    const noteStart = start + index * 0.18;
+    oscillator.type = 'sine';
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.0001, noteStart);
+    gain.gain.exponentialRampToValueAtTime(0.3, noteStart + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, noteStart + 0.35);
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(noteStart);
+    oscillator.stop(noteStart + 0.4);
+  });
+}
+
+// How far a rule's condition has got: ms for presence and absence, objects for counts
+function measure(rule, matching, state, timestamp, { trackGrace }) {
+  if (rule.type === 'count') {
+    return matching.length;
+  }
+
+  if (rule.type === 'absence') {
+    if (matching.length > 0) {
+      state.lastSeen = timestamp;
+    }
+    // Never seen yet means nothing has disappeared
+    return state.lastSeen === null ? 0 : timestamp - state.lastSeen;
+  }
+
+  // Presence: the longest time any one tracked object has matched the rule
+  for (const detection of matching) {
+    if (detection.trackId === undefined || !detection.trackConfirmed) continue;
+    const key = trackKey(detection, timestamp);
+    const entry = state.since.get(key) || { start: timestamp, lastSeen: timestamp };
+    entry.lastSeen = timestamp;
+    state.since.set(key, entry);
+  }
+
+  let longest = 0;
+  for (const [key, entry] of state.since) {
+    if (timestamp - entry.lastSeen > trackGrace) {
+      state.since.delete(key);
+    } else {
+      longest = Math.max(longest, entry.lastSeen - entry.start);
+    }
+  }
+  return longest;
+}
+
+function alertMessage(rule, value, labels, zone) {
+  const entry = labels?.entries.find(candidate => candidate.name === rule.className);
+  const name = entry ? entry.displayName : rule.className;
+  const where = zone ? ` in ${zone.name}` : '';
+  switch (rule.type) {
+    case 'presence':
+      return `${name} present for ${(value / 1000).toFixed(1)} s${where}`;
+    case 'count':
+      return `${value} × ${name}${where} (more than ${rule.threshold})`;
+    default:
+      return `${name} gone for ${(value / 1000).toFixed(1)} s${where}`;
+  }
+}
+
+// Validate form or stored fields; throws on anything a rule can't run with
+function normalizeRule(fields) {
+  if (!RULE_TYPES.includes(fields.type)) {
+    throw new Error(`Unknown rule type "${fields.type}"`);
+  }
+  if (typeof fields.className !== 'string' || !fields.className) {
+    throw new Error('Choose a class for the rule');
+  }
+
+  const threshold = Number(fields.threshold);
+  const cooldown = Number(fields.cooldown ?? 0);
+  if (!Number.isFinite(threshold) || threshold < 0) {
+    throw new Error('The threshold must be a positive number');
+  }
+  if (!Number.isFinite(cooldown) || cooldown < 0) {
+    throw new Error('The cooldown must be zero or more seconds');
+  }
+
+  const actions = (fields.actions || []).filter(action => ALERT_ACTIONS.includes(action));
+  if (actions.length === 0) {
+    throw new Error('Choose at least one action for the rule');
+  }
+
+  return {
+    type: fields.type,
+    className: fields.className,
+    zoneId: Number.isInteger(fields.zoneId) ? fields.zoneId : null,
+    threshold,
+    cooldown,
+    actions,
+    enabled: fields.enabled !== false
+  };
+}
+
+function isValidRule(rule) {
+  try {
+    return !!rule && Number.isInteger(rule.id) && !!normalizeRule(rule);
+  } catch (error) {
+    return false;
+  }
+}
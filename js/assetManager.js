@@ -1,6 +1,11 @@
 // Asset management system with CDN-first, local fallback strategy
 export class AssetManager {
-  constructor() {
+  /**
+   * @param {Object} options - baseUrl resolves local fallbacks when running outside
+   *   the page (e.g. inside a worker, where relative URLs resolve against the script)
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || null;
     this.cdnConfig = {
       baseUrls: {
         // Example CDN URLs (will fallback to local if not available)
@@ -8,11 +13,14 @@ export class AssetManager {
         onnxRuntime: 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.18.0/dist/'
       },
       fallbackUrls: {
-        models: './models/',
-        onnxRuntime: './lib/'
+        models: this.resolveLocalUrl('./models/'),
+        onnxRuntime: this.resolveLocalUrl('./lib/')
       }
     };
     
+    this.manifestFile = 'manifest.json';
+    this.manifest = null;
+    
     this.loadAttempts = new Map();
     this.maxRetries = 2;
     this.timeout = 10000; // 10 seconds
@@ -53,7 +61,7 @@ export class AssetManager {
         
         // For local files, skip verification and trust they exist
         // ONNX Runtime will give us a better error if the file doesn't exist
-        if (url.startsWith('./') || url.startsWith('/')) {
+        if (this.isLocalUrl(url)) {
           console.log(`✅ Using local ${assetType}/${filename} without verification`);
           
           this.loadAttempts.set(attemptKey, {
@@ -99,6 +107,124 @@ export class AssetManager {
     throw new Error(`Failed to load ${assetType}/${filename} from all sources`);
   }
 
+  /**
+   * Download an asset with the same CDN-first, local fallback order as loadAsset
+   * @param {string} assetType - 'models' or 'onnxRuntime'
+   * @param {string} filename - Asset filename
+   * @param {Object} options - expectedSize / sizeTolerance checks, as for loadAsset
+   * @returns {Promise<{bytes: ArrayBuffer, url: string}>} - Asset contents and the URL that served them
+   */
+  async fetchAsset(assetType, filename, options = {}) {
+    const attemptKey = `${assetType}:${filename}`;
+    const urls = this.getAssetUrls(assetType, filename);
+    
+    for (let i = 0; i < urls.length; i++) {
+      const url = urls[i];
+      const source = i === 0 && urls.length > 1 ? 'CDN' : 'Local';
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+      
+      try {
+        console.log(`📦 Downloading ${assetType}/${filename} from ${source}: ${url}`);
+        
+        // The timeout covers reaching the server; large bodies may take longer to arrive
+        const response = await fetch(url, { signal: controller.signal, ...options.fetchOptions });
+        clearTimeout(timeoutId);
+        
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        this.checkAssetSize(url, parseInt(response.headers.get('content-length') || '0'), options);
+        
+        const bytes = await response.arrayBuffer();
+        console.log(`✅ Downloaded ${assetType}/${filename} from ${source} (${bytes.byteLength} bytes)`);
+        
+        this.loadAttempts.set(attemptKey, {
+          url,
+          source,
+          success: true,
+          timestamp: Date.now()
+        });
+        
+        return { bytes, url };
+        
+      } catch (error) {
+        clearTimeout(timeoutId);
+        const message = error.name === 'AbortError' ? `Request timeout after ${this.timeout}ms` : error.message;
+        console.warn(`❌ Failed to download ${assetType}/${filename} from ${source}:`, message);
+        
+        this.loadAttempts.set(attemptKey, {
+          url,
+          source,
+          success: false,
+          error: message,
+          timestamp: Date.now()
+        });
+      }
+    }
+    
+    throw new Error(`Failed to load ${assetType}/${filename} from all sources`);
+  }
+
+  /**
+   * Fetch the model manifest that sits next to the local models
+   * @returns {Promise<Object>} - Parsed manifest ({ version, models: [...] })
+   */
+  async loadManifest() {
+    if (this.manifest) {
+      return this.manifest;
+    }
+    
+    const url = this.cdnConfig.fallbackUrls.models + this.manifestFile;
+    console.log(`📋 Loading model manifest: ${url}`);
+    
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`Failed to load model manifest (HTTP ${response.status}): ${url}`);
+    }
+    
+    const manifest = await response.json();
+    if (!manifest || !Array.isArray(manifest.models)) {
+      throw new Error('Model manifest is missing a "models" array');
+    }
+    
+    this.manifest = manifest;
+    return manifest;
+  }
+
+  /**
+   * Fetch a label file stored next to the local models
+   * @param {string} filename - Label file named in the manifest (.json or .txt)
+   * @returns {Promise<string>} - File contents
+   */
+  async loadLabelFile(filename) {
+    const url = this.cdnConfig.fallbackUrls.models + filename;
+    console.log(`🏷️ Loading labels: ${url}`);
+    
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load label file (HTTP ${response.status}): ${url}`);
+    }
+    return response.text();
+  }
+
+  /**
+   * Resolve a page-relative path against the configured base URL
+   */
+  resolveLocalUrl(path) {
+    return this.baseUrl ? new URL(path, this.baseUrl).href : path;
+  }
+
+  /**
+   * Whether a URL points at the app's own files rather than a CDN
+   */
+  isLocalUrl(url) {
+    if (url.startsWith('./') || url.startsWith('/')) {
+      return true;
+    }
+    return !!this.baseUrl && url.startsWith(new URL(this.baseUrl).origin + '/');
+  }
+
   /**
    * Get prioritized URLs for an asset (CDN first, then local)
    */
@@ -123,7 +249,7 @@ export class AssetManager {
     
     try {
       // For local files, try a simpler GET request to check if accessible
-      const method = url.startsWith('./') || url.startsWith('/') ? 'GET' : 'HEAD';
+      const method = this.isLocalUrl(url) ? 'GET' : 'HEAD';
       
       const response = await fetch(url, {
         method: method,
@@ -145,21 +271,8 @@ export class AssetManager {
       }
       
       // Check content length if specified
-      if (options.expectedSize) {
-        const contentLength = parseInt(response.headers.get('content-length') || response.headers.get('content-range')?.split('/')[1] || '0');
-        const tolerance = options.sizeTolerance || 0.1;
-        
-        if (contentLength > 0) {
-          const sizeDiff = Math.abs(contentLength - options.expectedSize) / options.expectedSize;
-          if (sizeDiff > tolerance) {
-            console.warn(`⚠️ Size difference detected: expected ~${options.expectedSize}, got ${contentLength} (${(sizeDiff * 100).toFixed(1)}% difference)`);
-            // Don't fail on size mismatch for local files, just warn
-            if (!url.startsWith('./')) {
-              throw new Error(`Size mismatch: expected ~${options.expectedSize}, got ${contentLength} (${(sizeDiff * 100).toFixed(1)}% difference)`);
-            }
-          }
-        }
-      }
+      const contentLength = parseInt(response.headers.get('content-length') || response.headers.get('content-range')?.split('/')[1] || '0');
+      this.checkAssetSize(url, contentLength, options);
       
       return true;
       
@@ -174,6 +287,26 @@ export class AssetManager {
     }
   }
 
+  /**
+   * Compare a reported content length with options.expectedSize
+   * Throws for CDN files outside the tolerance; local files only warn
+   */
+  checkAssetSize(url, contentLength, options = {}) {
+    if (!options.expectedSize || contentLength <= 0) {
+      return;
+    }
+    
+    const tolerance = options.sizeTolerance || 0.1;
+    const sizeDiff = Math.abs(contentLength - options.expectedSize) / options.expectedSize;
+    if (sizeDiff > tolerance) {
+      console.warn(`⚠️ Size difference detected: expected ~${options.expectedSize}, got ${contentLength} (${(sizeDiff * 100).toFixed(1)}% difference)`);
+      // Don't fail on size mismatch for local files, just warn
+      if (!this.isLocalUrl(url)) {
+        throw new Error(`Size mismatch: expected ~${options.expectedSize}, got ${contentLength} (${(sizeDiff * 100).toFixed(1)}% difference)`);
+      }
+    }
+  }
+
   /**
    * Load ONNX Runtime with fallback
    */
@@ -305,9 +438,10 @@ export class AssetManager {
    * Preload critical assets
    */
   async preloadCriticalAssets() {
-    const criticalAssets = [
-      { type: 'models', filename: 'yolov10n.onnx', expectedSize: 9309375 }
-    ];
+    const manifest = await this.loadManifest();
+    const criticalAssets = manifest.models
+      .filter(model => model.preload)
+      .map(model => ({ type: 'models', filename: model.file, expectedSize: model.expectedSize }));
     
     const results = [];
     
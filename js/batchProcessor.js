@@ -0,0 +1,106 @@
+// Runs the current model over many image files and collects one results file
+import { ImageInput } from './imageInput.js';
+import { createResults, serializeDetection, countByLabel } from './results.js';
+
+export class BatchProcessor {
+  constructor() {
+    this.isRunning = false;
+    this.isCancelled = false;
+  }
+
+  /**
+   * Image files from a multi-file or directory pick, in path order
+   * @param {FileList|File[]} files - Picked files; non-images are skipped
+   */
+  static selectImageFiles(files) {
+    return Array.from(files || [])
+      .filter(file => ImageInput.isImageFile(file))
+      .sort((a, b) => filePath(a).localeCompare(filePath(b), undefined, { numeric: true }));
+  }
+
+  /**
+   * Detect on each image in turn
+   * @param {File[]} files - Image files
+   * @param {Function} detect - async (imageInput) => { detections, classifications, inferenceTime }
+   * @param {Function} onProgress - (done, total, path) after each image
+   * @returns {Promise<Object>} - { images, cancelled }
+   */
+  async run(files, detect, onProgress = () => {}) {
+    if (this.isRunning) {
+      throw new Error('A batch is already running');
+    }
+
+    this.isRunning = true;
+    this.isCancelled = false;
+    const images = [];
+    const imageInput = new ImageInput();
+    console.log(`🗂️ Batch processing ${files.length} images...`);
+
+    try {
+      for (const file of files) {
+        if (this.isCancelled) break;
+
+        const path = filePath(file);
+        try {
+          const { width, height } = await imageInput.load(file, path);
+          const result = await detect(imageInput);
+          const detections = (result?.detections || []).map(serializeDetection);
+          const image = { file: path, width, height, inferenceTime: result?.inferenceTime || 0, detections };
+          if (result?.classifications) {
+            image.classifications = result.classifications.map(({ classId, label, score }) => ({ classId, label, score }));
+          }
+          images.push(image);
+        } catch (error) {
+          console.warn(`⚠️ Batch: ${path} failed:`, error.message);
+          images.push({ file: path, error: error.message });
+        } finally {
+          imageInput.clear();
+        }
+
+        onProgress(images.length, files.length, path);
+      }
+    } finally {
+      this.isRunning = false;
+    }
+
+    console.log(`✅ Batch ${this.isCancelled ? 'cancelled' : 'finished'} after ${images.length}/${files.length} images`);
+    return { images, cancelled: this.isCancelled };
+  }
+
+  // Stops after the image being processed
+  cancel() {
+    if (this.isRunning) {
+      this.isCancelled = true;
+    }
+  }
+
+  /**
+   * Combined results file for a finished or cancelled batch
+   * @param {Object} batch - Result of run()
+   * @param {Object} model - describeModel(config, labels)
+   * @param {Object} filter - DetectionFilter.toJSON()
+   * @param {number} total - Number of images selected
+   */
+  static buildResults(batch, model, filter, total) {
+    const processed = batch.images.filter(image => !image.error);
+    const classCounts = {};
+    processed.forEach(image => countByLabel(image.detections, classCounts));
+
+    return {
+      ...createResults(model, filter, batch.images),
+      summary: {
+        selected: total,
+        processed: processed.length,
+        failed: batch.images.length - processed.length,
+        cancelled: batch.cancelled,
+        detections: processed.reduce((sum, image) => sum + image.detections.length, 0),
+        classCounts
+      }
+    };
+  }
+}
+
+// Folder picks carry the path inside the folder; plain picks only a name
+function filePath(file) {
+  return file.webkitRelativePath || file.name;
+}
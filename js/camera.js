@@ -1,4 +1,6 @@
 // Camera handling with getUserMedia API
+import { drawResized } from './resize.js';
+
 export class CameraManager {
   constructor() {
     this.video = null;
@@ -7,6 +9,9 @@ export class CameraManager {
     this.stream = null;
     this.facingMode = 'environment'; // 'user' for front camera, 'environment' for back
     this.isVideoReady = false;
+    this.sourceType = 'stream'; // 'stream' (getUserMedia) or 'file' (local video file)
+    this.fileUrl = null;
+    this.fileName = null;
   }
 
   async initialize(videoElement, canvasElement) {
@@ -68,6 +73,7 @@ export class CameraManager {
       };
 
       this.stream = await navigator.mediaDevices.getUserMedia(constraints);
+      this.releaseVideoFile(); // Only once the camera is actually available
       this.video.srcObject = this.stream;
       
       return new Promise((resolve) => {
@@ -94,6 +100,77 @@ export class CameraManager {
     }
   }
 
+  /**
+   * Play a local video file in the video element instead of the camera stream
+   * @param {File} file - Video file
+   * @returns {Promise<Object>} - { width, height, duration }
+   */
+  async loadVideoFile(file) {
+    this.stopCamera();
+    this.releaseVideoFile();
+
+    this.fileUrl = URL.createObjectURL(file);
+    this.fileName = file.name;
+    this.sourceType = 'file';
+    this.video.autoplay = false; // Playback is driven by the app's controls
+    this.video.srcObject = null;
+
+    // Whichever event fires first removes both listeners from the shared video element
+    const listeners = new AbortController();
+    const loaded = new Promise((resolve, reject) => {
+      this.video.addEventListener('loadeddata', resolve, { signal: listeners.signal });
+      this.video.addEventListener('error', () => {
+        reject(new Error(`Cannot play ${file.name}; the format may not be supported by this browser`));
+      }, { signal: listeners.signal });
+    });
+    this.video.src = this.fileUrl;
+    try {
+      await loaded;
+    } finally {
+      listeners.abort();
+    }
+
+    return {
+      width: this.video.videoWidth,
+      height: this.video.videoHeight,
+      duration: this.video.duration
+    };
+  }
+
+  releaseVideoFile() {
+    if (!this.fileUrl) return;
+
+    this.video.pause();
+    this.video.removeAttribute('src');
+    this.video.load();
+    URL.revokeObjectURL(this.fileUrl);
+    this.fileUrl = null;
+    this.fileName = null;
+    this.sourceType = 'stream';
+    this.video.autoplay = true;
+    this.isVideoReady = false;
+  }
+
+  isFileSource() {
+    return this.sourceType === 'file';
+  }
+
+  /**
+   * Seek a video file and wait until the frame at that time is available
+   * @param {number} time - Media time in seconds
+   */
+  seekTo(time) {
+    const target = Math.min(Math.max(0, time), this.video.duration || 0);
+    if (Math.abs(this.video.currentTime - target) < 1e-4) {
+      return Promise.resolve(target);
+    }
+
+    return new Promise((resolve) => {
+      this.video.addEventListener('seeked', () => resolve(this.video.currentTime), { once: true });
+      this.video.currentTime = target;
+    });
+  }
+
   stopCamera() {
     if (this.stream) {
       this.stream.getTracks().forEach(track => track.stop());
@@ -104,6 +181,7 @@ export class CameraManager {
 
   destroy() {
     this.stopCamera();
+    this.releaseVideoFile();
     if (this.resizeObserver) {
       this.resizeObserver.disconnect();
       this.resizeObserver = null;
@@ -193,7 +271,7 @@ export class CameraManager {
     context.save();
     
     // Handle front camera mirroring
-    if (this.facingMode === 'user') {
+    if (this.facingMode === 'user' && !this.isFileSource()) {
       context.scale(-1, 1);
       context.translate(-canvas.width, 0);
     }
@@ -208,7 +286,8 @@ export class CameraManager {
   }
 
   // Create a separate canvas for processing (to avoid interference with overlay)
-  createProcessingCanvas(targetWidth, targetHeight) {
+  // An optional resize transform letterboxes or crops instead of stretching
+  createProcessingCanvas(targetWidth, targetHeight, transform = null) {
     if (!this.isVideoReady || !this.video) {
       return null;
     }
@@ -219,7 +298,11 @@ export class CameraManager {
     const processingContext = processingCanvas.getContext('2d', { willReadFrequently: true });
     
     // Draw video frame to processing canvas
-    processingContext.drawImage(this.video, 0, 0, targetWidth, targetHeight);
+    if (transform) {
+      drawResized(processingContext, this.video, transform);
+    } else {
+      processingContext.drawImage(this.video, 0, 0, targetWidth, targetHeight);
+    }
     
     return processingContext;
   }
@@ -250,6 +333,18 @@ export class CameraManager {
     };
   }
 
+  getFrameDimensions() {
+    return {
+      width: this.video?.videoWidth || 0,
+      height: this.video?.videoHeight || 0
+    };
+  }
+
+  // Snapshot of the current frame for the inference worker
+  createFrameBitmap() {
+    return createImageBitmap(this.video);
+  }
+
   getVideoAspectRatio() {
     if (!this.video || !this.video.videoWidth || !this.video.videoHeight) {
       return 16/9; // Default aspect ratio
@@ -0,0 +1,331 @@
+// Output decoders for the YOLO families, keyed by output format
+//
+// Every decoder turns a raw output tensor into a candidate buffer of
+// model-space boxes: { count, boxes: [x0, y0, x1, y1, ...], scores, classIds }.
+// Segmentation decoders also fill maskChannels coefficients per candidate, and
+// pose decoders keypointCount [x, y, confidence] triples.
+
+/**
+ * Allocate a candidate buffer able to hold `capacity` boxes
+ * @param {Object} options - maskChannels (segmentation) and keypointCount (pose); both default to 0
+ */
+export function createCandidateBuffer(capacity, { maskChannels = 0, keypointCount = 0 } = {}) {
+  return {
+    count: 0,
+    boxes: new Float32Array(capacity * 4),
+    scores: new Float32Array(capacity),
+    classIds: new Int32Array(capacity),
+    maskChannels,
+    coefficients: maskChannels > 0 ? new Float32Array(capacity * maskChannels) : null,
+    keypointCount,
+    keypoints: keypointCount > 0 ? new Float32Array(capacity * keypointCount * 3) : null
+  };
+}
+
+/**
+ * Copy one candidate, with its mask coefficients and keypoints, between buffers
+ * (or within one, for in-place compaction)
+ */
+export function copyCandidate(from, fromIndex, to, toIndex) {
+  to.boxes.set(from.boxes.subarray(fromIndex * 4, fromIndex * 4 + 4), toIndex * 4);
+  to.scores[toIndex] = from.scores[fromIndex];
+  to.classIds[toIndex] = from.classIds[fromIndex];
+
+  if (from.coefficients) {
+    const channels = from.maskChannels;
+    to.coefficients.set(from.coefficients.subarray(fromIndex * channels, (fromIndex + 1) * channels), toIndex * channels);
+  }
+  if (from.keypoints) {
+    const stride = from.keypointCount * 3;
+    to.keypoints.set(from.keypoints.subarray(fromIndex * stride, (fromIndex + 1) * stride), toIndex * stride);
+  }
+}
+
+function pushCandidate(buffer, x0, y0, x1, y1, score, classId) {
+  const i = buffer.count;
+  buffer.boxes[i * 4] = x0;
+  buffer.boxes[i * 4 + 1] = y0;
+  buffer.boxes[i * 4 + 2] = x1;
+  buffer.boxes[i * 4 + 3] = y1;
+  buffer.scores[i] = score;
+  buffer.classIds[i] = classId;
+  buffer.count++;
+}
+
+// YOLOv7 end-to-end export: [N, 7] rows of batch, x0, y0, x1, y1, class, score
+function decodeYolov7(tensor, { scoreThreshold }) {
+  const data = tensor.data;
+  const rows = tensor.dims[0];
+  const buffer = createCandidateBuffer(rows);
+
+  for (let i = 0; i < rows; i++) {
+    const offset = i * 7;
+    const score = data[offset + 6];
+    if (score < scoreThreshold) {
+      continue;
+    }
+    pushCandidate(
+      buffer,
+      data[offset + 1], data[offset + 2], data[offset + 3], data[offset + 4],
+      score, Math.floor(data[offset + 5])
+    );
+  }
+
+  return buffer;
+}
+
+// YOLOv10 end-to-end export: [1, N, 6] rows of x0, y0, x1, y1, score, class
+function decodeYolov10(tensor, { scoreThreshold }) {
+  const data = tensor.data;
+  const rows = tensor.dims[1];
+  const buffer = createCandidateBuffer(rows);
+
+  for (let i = 0; i < rows; i++) {
+    const offset = i * 6;
+    const score = data[offset + 4];
+
+    // Rows are sorted by score, so nothing after this one can pass
+    if (score < scoreThreshold) {
+      break;
+    }
+    pushCandidate(
+      buffer,
+      data[offset], data[offset + 1], data[offset + 2], data[offset + 3],
+      score, Math.floor(data[offset + 5])
+    );
+  }
+
+  return buffer;
+}
+
+// Raw YOLOv8 / YOLO11 head: [1, 4 + C, N] channels-first cx, cy, w, h, class scores
+function decodeYolov8Raw(tensor, { scoreThreshold }) {
+  const data = tensor.data;
+  const channels = tensor.dims[1];
+  const anchors = tensor.dims[2];
+  const numClasses = channels - 4;
+  const buffer = createCandidateBuffer(anchors);
+
+  for (let a = 0; a < anchors; a++) {
+    // Find the best class for this anchor
+    let bestScore = 0;
+    let bestClass = -1;
+    for (let c = 0; c < numClasses; c++) {
+      const score = data[(4 + c) * anchors + a];
+      if (score > bestScore) {
+        bestScore = score;
+        bestClass = c;
+      }
+    }
+
+    if (bestScore < scoreThreshold) {
+      continue;
+    }
+
+    const cx = data[a];
+    const cy = data[anchors + a];
+    const halfW = data[2 * anchors + a] / 2;
+    const halfH = data[3 * anchors + a] / 2;
+    pushCandidate(buffer, cx - halfW, cy - halfH, cx + halfW, cy + halfH, bestScore, bestClass);
+  }
+
+  return buffer;
+}
+
+// Raw YOLOv8 / YOLO11 segmentation head: [1, 4 + C + K, N] channels-first,
+// followed by K mask coefficients; the prototypes come from the second output
+function decodeYolov8Seg(tensor, { scoreThreshold, maskChannels = 32 }) {
+  const data = tensor.data;
+  const channels = tensor.dims[1];
+  const anchors = tensor.dims[2];
+  const numClasses = channels - 4 - maskChannels;
+  const buffer = createCandidateBuffer(anchors, { maskChannels });
+  const coefficientStart = (4 + numClasses) * anchors;
+
+  for (let a = 0; a < anchors; a++) {
+    let bestScore = 0;
+    let bestClass = -1;
+    for (let c = 0; c < numClasses; c++) {
+      const score = data[(4 + c) * anchors + a];
+      if (score > bestScore) {
+        bestScore = score;
+        bestClass = c;
+      }
+    }
+
+    if (bestScore < scoreThreshold) {
+      continue;
+    }
+
+    const offset = buffer.count * maskChannels;
+    for (let k = 0; k < maskChannels; k++) {
+      buffer.coefficients[offset + k] = data[coefficientStart + k * anchors + a];
+    }
+
+    const cx = data[a];
+    const cy = data[anchors + a];
+    const halfW = data[2 * anchors + a] / 2;
+    const halfH = data[3 * anchors + a] / 2;
+    pushCandidate(buffer, cx - halfW, cy - halfH, cx + halfW, cy + halfH, bestScore, bestClass);
+  }
+
+  return buffer;
+}
+
+// Raw YOLOv8 / YOLO11 pose head: [1, 4 + C + 3K, N] channels-first, followed
+// by K keypoints as x, y, confidence in model pixels
+function decodeYolov8Pose(tensor, { scoreThreshold, keypointCount = 17 }) {
+  const data = tensor.data;
+  const channels = tensor.dims[1];
+  const anchors = tensor.dims[2];
+  const numClasses = channels - 4 - keypointCount * 3;
+  if (numClasses < 1) {
+    throw new Error(`Pose output has ${channels} channels, too few for ${keypointCount} keypoints ` +
+      `(expected 4 + classes + ${keypointCount} × 3); check the manifest "keypoints" count`);
+  }
+  const buffer = createCandidateBuffer(anchors, { keypointCount });
+  const keypointStart = (4 + numClasses) * anchors;
+  const stride = keypointCount * 3;
+
+  for (let a = 0; a < anchors; a++) {
+    let bestScore = 0;
+    let bestClass = -1;
+    for (let c = 0; c < numClasses; c++) {
+      const score = data[(4 + c) * anchors + a];
+      if (score > bestScore) {
+        bestScore = score;
+        bestClass = c;
+      }
+    }
+
+    if (bestScore < scoreThreshold) {
+      continue;
+    }
+
+    const offset = buffer.count * stride;
+    for (let k = 0; k < stride; k++) {
+      buffer.keypoints[offset + k] = data[keypointStart + k * anchors + a];
+    }
+
+    const cx = data[a];
+    const cy = data[anchors + a];
+    const halfW = data[2 * anchors + a] / 2;
+    const halfH = data[3 * anchors + a] / 2;
+    pushCandidate(buffer, cx - halfW, cy - halfH, cx + halfW, cy + halfH, bestScore, bestClass);
+  }
+
+  return buffer;
+}
+
+// Raw YOLOv5 head: [1, N, 5 + C] rows of cx, cy, w, h, objectness, class scores
+function decodeYolov5Raw(tensor, { scoreThreshold }) {
+  const data = tensor.data;
+  const rows = tensor.dims[1];
+  const stride = tensor.dims[2];
+  const numClasses = stride - 5;
+  const buffer = createCandidateBuffer(rows);
+
+  for (let i = 0; i < rows; i++) {
+    const offset = i * stride;
+    const objectness = data[offset + 4];
+
+    // Cheap early exit: class scores are at most 1
+    if (objectness < scoreThreshold) {
+      continue;
+    }
+
+    let bestScore = 0;
+    let bestClass = -1;
+    for (let c = 0; c < numClasses; c++) {
+      const score = data[offset + 5 + c];
+      if (score > bestScore) {
+        bestScore = score;
+        bestClass = c;
+      }
+    }
+
+    const score = objectness * bestScore;
+    if (score < scoreThreshold) {
+      continue;
+    }
+
+    const cx = data[offset];
+    const cy = data[offset + 1];
+    const halfW = data[offset + 2] / 2;
+    const halfH = data[offset + 3] / 2;
+    pushCandidate(buffer, cx - halfW, cy - halfH, cx + halfW, cy + halfH, score, bestClass);
+  }
+
+  return buffer;
+}
+
+export class DecoderRegistry {
+  constructor() {
+    this.decoders = new Map();
+
+    // Built-in formats. End-to-end exports already include NMS in the graph.
+    this.register('yolov7-e2e', { decode: decodeYolov7, requiresNms: false });
+    this.register('yolov10-e2e', { decode: decodeYolov10, requiresNms: false });
+    this.register('yolov8-raw', { decode: decodeYolov8Raw, requiresNms: true });
+    this.register('yolov5-raw', { decode: decodeYolov5Raw, requiresNms: true });
+    this.register('yolov8-seg', { decode: decodeYolov8Seg, requiresNms: true });
+    this.register('yolov8-pose', { decode: decodeYolov8Pose, requiresNms: true });
+  }
+
+  /**
+   * Register a decoder for an output format
+   * @param {string} format - Output format key declared by model configs
+   * @param {Object} decoder - { decode(tensor, options), requiresNms }; options carry
+   *   scoreThreshold, maskChannels for models with a prototype output, and keypointCount
+   */
+  register(format, decoder) {
+    if (!decoder || typeof decoder.decode !== 'function') {
+      throw new Error(`Decoder for "${format}" must provide a decode function`);
+    }
+    this.decoders.set(format, { requiresNms: false, ...decoder, format });
+  }
+
+  has(format) {
+    return this.decoders.has(format);
+  }
+
+  get(format) {
+    const decoder = this.decoders.get(format);
+    if (!decoder) {
+      throw new Error(`No decoder registered for output format: ${format}`);
+    }
+    return decoder;
+  }
+
+  getFormats() {
+    return Array.from(this.decoders.keys());
+  }
+
+  /**
+   * Guess the output format of a model that does not declare one
+   * @param {Object} protos - Second output when it looks like mask prototypes
+   */
+  inferFormat(modelName, tensor, protos = null) {
+    // Legacy filename check kept for configs written before formats existed
+    if (modelName === 'yolov10n.onnx') {
+      return 'yolov10-e2e';
+    }
+
+    const dims = tensor.dims;
+    if (protos && dims.length === 3 && dims[1] < dims[2]) {
+      return 'yolov8-seg';
+    }
+    if (dims.length === 2 && dims[1] === 7) {
+      return 'yolov7-e2e';
+    }
+    if (dims.length === 3 && dims[2] === 6) {
+      return 'yolov10-e2e';
+    }
+    if (dims.length === 3) {
+      // Raw heads have far more anchors than channels
+      return dims[1] < dims[2] ? 'yolov8-raw' : 'yolov5-raw';
+    }
+
+    return 'yolov7-e2e';
+  }
+}
@@ -1,11 +1,19 @@
 // Dependency loader with CDN fallback for critical runtime dependencies
 import { AssetManager } from './assetManager.js';
+import {
+  probeExecutionProviders,
+  configureWasmBackend,
+  getOnnxRuntimeSources,
+  setOnnxRuntimeSource,
+  getWasmPaths
+} from './executionProviders.js';
 
 export class DependencyLoader {
   constructor() {
     this.assetManager = new AssetManager();
     this.loadedDependencies = new Set();
     this.loadingPromises = new Map();
+    this.capabilities = null; // Execution provider probe results
   }
 
   /**
@@ -50,29 +58,12 @@ export class DependencyLoader {
   }
 
   async _loadOnnxRuntimeInternal() {
-    const strategies = [
-      {
-        name: 'CDN Primary',
-        url: 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.18.0/dist/ort.min.js',
-        integrity: 'sha384-+sDrjb5Otytk3e52a47vPhUx98dLh5PCPk8NHBLoekdIAC8urCZbpRWfw/mMXYQv',
-        source: 'CDN-Primary'
-      },
-      {
-        name: 'CDN Fallback',
-        url: 'https://unpkg.com/onnxruntime-web@1.18.0/dist/ort.min.js',
-        integrity: 'sha384-+sDrjb5Otytk3e52a47vPhUx98dLh5PCPk8NHBLoekdIAC8urCZbpRWfw/mMXYQv',
-        source: 'CDN-Fallback'
-      },
-      {
-        name: 'Local Fallback',
-        url: './lib/ort.min.js',
-        source: 'Local'
-      }
-    ];
+    // The WebGPU build comes first when the browser has a WebGPU adapter
+    const strategies = getOnnxRuntimeSources(await probeExecutionProviders());
 
     for (const strategy of strategies) {
       try {
-        console.log(`🔄 Loading ONNX Runtime from ${strategy.name}: ${strategy.url}`);
+        console.log(`🔄 Loading ONNX Runtime from ${strategy.source}: ${strategy.url}`);
         
         await this._loadScript(strategy.url, strategy.integrity);
         
@@ -81,22 +72,24 @@ export class DependencyLoader {
           throw new Error('ONNX Runtime object not available after script load');
         }
         
-        // Test basic functionality
+        // Test basic functionality, offering only the backends this build registers
+        setOnnxRuntimeSource(strategy);
         await this._verifyOnnxRuntime();
         
-        console.log(`✅ ONNX Runtime loaded successfully from ${strategy.name}`);
+        console.log(`✅ ONNX Runtime loaded successfully from ${strategy.source}`);
         
         // Configure WASM paths
         this._configureOnnxRuntime();
         
         return {
           source: strategy.source,
+          bundle: strategy.bundle,
           url: strategy.url,
           version: ort.version || 'unknown'
         };
         
       } catch (error) {
-        console.warn(`❌ Failed to load ONNX Runtime from ${strategy.name}:`, error.message);
+        console.warn(`❌ Failed to load ONNX Runtime from ${strategy.source}:`, error.message);
         continue;
       }
     }
@@ -215,9 +208,10 @@ export class DependencyLoader {
         throw new Error('Tensor not available');
       }
       
-      // Test WASM backend availability
-      const backends = ort.env.webgl ? ['webgl', 'wasm'] : ['wasm'];
-      console.log(`🔧 Available ONNX backends: ${backends.join(', ')}`);
+      // Probe which execution providers this browser supports
+      this.capabilities = await probeExecutionProviders();
+      console.log(`🔧 Available ONNX backends: ${this.capabilities.available.join(', ')}` +
+        ` (SIMD: ${this.capabilities.wasmSimd}, threads: ${this.capabilities.wasmThreads})`);
       
       return true;
     } catch (error) {
@@ -230,12 +224,16 @@ export class DependencyLoader {
    */
   _configureOnnxRuntime() {
     try {
-      // Set WASM paths to local directory
-      ort.env.wasm.wasmPaths = './js/';
+      // Local .wasm files for the default build, the CDN's for the WebGPU build
+      ort.env.wasm.wasmPaths = getWasmPaths('./js/');
       
-      // Configure other ONNX Runtime settings
-      ort.env.wasm.numThreads = navigator.hardwareConcurrency || 4;
-      ort.env.wasm.simd = true;
+      // Configure SIMD and threading from the capability probe
+      if (this.capabilities) {
+        configureWasmBackend(this.capabilities);
+      } else {
+        ort.env.wasm.numThreads = navigator.hardwareConcurrency || 4;
+        ort.env.wasm.simd = true;
+      }
       
       // Enable logging in development
       if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
@@ -283,6 +281,7 @@ export class DependencyLoader {
       loadedDependencies: Array.from(this.loadedDependencies),
       onnxRuntimeAvailable: typeof ort !== 'undefined',
       onnxRuntimeVersion: typeof ort !== 'undefined' ? (ort.version || 'unknown') : null,
+      executionProviders: this.capabilities ? this.capabilities.available : null,
       activeLoads: Array.from(this.loadingPromises.keys())
     };
   }
@@ -0,0 +1,121 @@
+// Confidence thresholds and class allow/deny lists applied after decoding
+import { DEFAULT_KEYPOINT_THRESHOLD } from './keypoints.js';
+
+export const DEFAULT_CONFIDENCE_THRESHOLD = 0.25;
+
+export const CLASS_FILTER_MODES = ['all', 'allow', 'deny'];
+
+export class DetectionFilter {
+  constructor(confidenceThreshold = DEFAULT_CONFIDENCE_THRESHOLD) {
+    this.confidenceThreshold = confidenceThreshold;
+    this.mode = 'all'; // 'all', 'allow' (only listed classes) or 'deny' (all but listed)
+    this.classes = new Set();
+    this.classThresholds = new Map(); // classId -> threshold overriding the global one
+    this.keypointThreshold = DEFAULT_KEYPOINT_THRESHOLD; // Pose keypoints below this are hidden
+  }
+
+  setConfidenceThreshold(threshold) {
+    this.confidenceThreshold = this.clampThreshold(threshold);
+  }
+
+  setKeypointThreshold(threshold) {
+    this.keypointThreshold = this.clampThreshold(threshold);
+  }
+
+  setMode(mode) {
+    if (!CLASS_FILTER_MODES.includes(mode)) {
+      throw new Error(`Unsupported class filter mode: ${mode}`);
+    }
+    this.mode = mode;
+  }
+
+  setClassListed(classId, listed) {
+    if (listed) {
+      this.classes.add(classId);
+    } else {
+      this.classes.delete(classId);
+    }
+  }
+
+  isClassListed(classId) {
+    return this.classes.has(classId);
+  }
+
+  /**
+   * Set a per-class threshold, or clear it with null to use the global one
+   */
+  setClassThreshold(classId, threshold) {
+    if (threshold === null || threshold === undefined || Number.isNaN(threshold)) {
+      this.classThresholds.delete(classId);
+    } else {
+      this.classThresholds.set(classId, this.clampThreshold(threshold));
+    }
+  }
+
+  /**
+   * Forget class lists and per-class thresholds, e.g. when class ids change meaning
+   */
+  resetClasses() {
+    this.classes.clear();
+    this.classThresholds.clear();
+  }
+
+  getThreshold(classId) {
+    return this.classThresholds.has(classId)
+      ? this.classThresholds.get(classId)
+      : this.confidenceThreshold;
+  }
+
+  /**
+   * Lowest threshold in effect, used by decoders for early rejection
+   */
+  getMinThreshold() {
+    let min = this.confidenceThreshold;
+    for (const threshold of this.classThresholds.values()) {
+      if (threshold < min) {
+        min = threshold;
+      }
+    }
+    return min;
+  }
+
+  isClassAllowed(classId) {
+    if (this.mode === 'allow') {
+      return this.classes.has(classId);
+    }
+    if (this.mode === 'deny') {
+      return !this.classes.has(classId);
+    }
+    return true;
+  }
+
+  accepts(classId, score) {
+    return this.isClassAllowed(classId) && score >= this.getThreshold(classId);
+  }
+
+  /**
+   * Plain-object form that survives postMessage
+   */
+  toJSON() {
+    return {
+      confidenceThreshold: this.confidenceThreshold,
+      mode: this.mode,
+      classes: Array.from(this.classes),
+      classThresholds: Array.from(this.classThresholds),
+      keypointThreshold: this.keypointThreshold
+    };
+  }
+
+  static fromJSON(json) {
+    const filter = new DetectionFilter(json.confidenceThreshold);
+    filter.mode = json.mode;
+    filter.classes = new Set(json.classes);
+    filter.classThresholds = new Map(json.classThresholds);
+    filter.keypointThreshold = json.keypointThreshold;
+    return filter;
+  }
+
+  clampThreshold(threshold) {
+    return Math.min(1, Math.max(0, Number(threshold)));
+  }
+}
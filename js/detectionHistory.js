@@ -0,0 +1,305 @@
+// Detection history in IndexedDB: live detection sessions and frames sampled from them
+//
+// A session runs from starting to stopping live detection. Frames are stored
+// at most once per sample interval with their serialized detections, the
+// model that produced them and optionally an annotated thumbnail. Sessions
+// older than the retention period are deleted when the history is opened
+// and whenever a new session starts.
+import { RESULTS_VERSION } from './results.js';
+import { createZip } from './zip.js';
+
+const DB_NAME = 'object-detection-history';
+const DB_VERSION = 1;
+
+const SETTINGS_KEY = 'object-detection.history';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_HISTORY_OPTIONS = {
+  sampleInterval: 1000 // ms between stored frames of a session
+};
+
+// User settings, saved in localStorage
+const DEFAULT_HISTORY_SETTINGS = {
+  enabled: true,     // Record live detection sessions
+  thumbnails: false, // Store an annotated thumbnail with each frame
+  retentionDays: 7   // Sessions older than this are deleted; 0 keeps them forever
+};
+
+export class DetectionHistory {
+  /**
+   * @param {Storage} storage - Where settings persist (localStorage by default)
+   */
+  constructor(storage = globalThis.localStorage ?? null, options = {}) {
+    this.storage = storage;
+    this.options = { ...DEFAULT_HISTORY_OPTIONS, ...options };
+    this.settings = { ...DEFAULT_HISTORY_SETTINGS };
+    this.db = null;
+    this.session = null; // Session being recorded
+    this.lastSampleTime = -Infinity;
+  }
+
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  get isOpen() {
+    return !!this.db;
+  }
+
+  loadSettings() {
+    try {
+      const saved = JSON.parse(this.storage?.getItem(SETTINGS_KEY) || '{}');
+      this.settings = { ...DEFAULT_HISTORY_SETTINGS, ...saved };
+    } catch (error) {
+      console.warn('⚠️ Ignoring saved history settings:', error.message);
+    }
+    return this.settings;
+  }
+
+  /**
+   * Change and persist settings; a shorter retention applies right away
+   * @param {Object} changes - Any of enabled, thumbnails, retentionDays
+   */
+  async updateSettings(changes) {
+    this.settings = { ...this.settings, ...changes };
+    try {
+      this.storage?.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      console.warn('⚠️ Could not save history settings:', error.message);
+    }
+    return this.prune();
+  }
+
+  async open() {
+    if (this.db) return this.db;
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+      const frames = db.createObjectStore('frames', { keyPath: 'id', autoIncrement: true });
+      frames.createIndex('sessionId', 'sessionId');
+    };
+    this.db = await requestResult(request);
+
+    const pruned = await this.prune();
+    console.log(`🗂️ Detection history opened${pruned ? `, ${pruned} old session(s) deleted` : ''}`);
+    return this.db;
+  }
+
+  /**
+   * Start recording a session
+   * @param {string} source - Input the session comes from, e.g. 'camera'
+   */
+  async startSession(source) {
+    await this.open();
+    await this.prune();
+
+    const session = {
+      startedAt: Date.now(),
+      endedAt: null,
+      source,
+      models: [],
+      frameCount: 0,
+      classCounts: {}
+    };
+    session.id = await this.write(['sessions'], stores => stores.sessions.add(session));
+    this.session = session;
+    this.lastSampleTime = -Infinity;
+    console.log(`🗂️ History session ${session.id} started`);
+    return session;
+  }
+
+  async endSession() {
+    const session = this.session;
+    if (!session) return;
+
+    this.session = null;
+    session.endedAt = Date.now();
+    await this.write(['sessions'], stores => stores.sessions.put(session));
+    console.log(`🗂️ History session ${session.id} ended with ${session.frameCount} frame(s)`);
+  }
+
+  /**
+   * Whether a frame at this time is due, given the sample interval
+   * @param {number} timestamp - Frame time in milliseconds (any monotonic clock)
+   */
+  shouldSample(timestamp) {
+    return !!this.session && timestamp - this.lastSampleTime >= this.options.sampleInterval;
+  }
+
+  /**
+   * Store a frame in the current session
+   * @param {Object} frame - { time (epoch ms), model (name), width, height, detections (serialized), thumbnail (Blob or null) }
+   * @param {number} timestamp - The clock used by shouldSample
+   */
+  async addFrame(frame, timestamp) {
+    const session = this.session;
+    if (!session) return;
+    this.lastSampleTime = timestamp;
+
+    session.frameCount++;
+    session.endedAt = frame.time;
+    if (!session.models.includes(frame.model)) {
+      session.models.push(frame.model);
+    }
+    for (const detection of frame.detections) {
+      session.classCounts[detection.label] = (session.classCounts[detection.label] || 0) + 1;
+    }
+
+    const record = {
+      ...frame,
+      sessionId: session.id,
+      labels: [...new Set(frame.detections.map(detection => detection.label))]
+    };
+    await this.write(['sessions', 'frames'], stores => {
+      stores.frames.add(record);
+      stores.sessions.put(session);
+    });
+  }
+
+  /**
+   * Stored sessions, newest first
+   */
+  async listSessions() {
+    await this.open();
+    const sessions = await this.read('sessions', store => store.getAll());
+    return sessions.sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  async getSession(id) {
+    await this.open();
+    return (await this.read('sessions', store => store.get(id))) || null;
+  }
+
+  /**
+   * Frames of a session in time order
+   */
+  async getFrames(sessionId) {
+    await this.open();
+    const frames = await this.read('frames', store => store.index('sessionId').getAll(sessionId));
+    return frames.sort((a, b) => a.time - b.time);
+  }
+
+  async deleteSession(id) {
+    await this.open();
+    if (this.session?.id === id) {
+      this.session = null;
+    }
+
+    await this.write(['sessions', 'frames'], stores => {
+      stores.sessions.delete(id);
+      const request = stores.frames.index('sessionId').openKeyCursor(IDBKeyRange.only(id));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          stores.frames.delete(cursor.primaryKey);
+          cursor.continue();
+        }
+      };
+    });
+  }
+
+  /**
+   * Delete sessions that ended before the retention period
+   * @returns {Promise<number>} - Number of sessions deleted
+   */
+  async prune(retentionDays = this.settings.retentionDays) {
+    if (!this.db || !retentionDays) return 0;
+
+    const cutoff = Date.now() - retentionDays * DAY;
+    const sessions = await this.read('sessions', store => store.getAll());
+    const expired = sessions.filter(session =>
+      session.id !== this.session?.id && (session.endedAt ?? session.startedAt) < cutoff
+    );
+    for (const session of expired) {
+      await this.deleteSession(session.id);
+    }
+    return expired.length;
+  }
+
+  /**
+   * A session as a download: JSON alone, or a ZIP with its thumbnails
+   * @returns {Promise<Object>} - { content, type, extension }
+   */
+  async exportSession(id) {
+    const session = await this.getSession(id);
+    if (!session) {
+      throw new Error(`History session ${id} no longer exists`);
+    }
+
+    const frames = await this.getFrames(id);
+    const files = [];
+    const images = [];
+    for (const frame of frames) {
+      const offset = frame.time - session.startedAt;
+      const image = {
+        file: `frame-${String(offset).padStart(8, '0')}`,
+        time: new Date(frame.time).toISOString(),
+        offset,
+        model: frame.model,
+        width: frame.width,
+        height: frame.height,
+        detections: frame.detections
+      };
+      if (frame.thumbnail) {
+        image.thumbnail = `thumbnails/${image.file}.jpg`;
+        files.push({ name: image.thumbnail, content: new Uint8Array(await frame.thumbnail.arrayBuffer()) });
+      }
+      images.push(image);
+    }
+
+    const json = JSON.stringify({
+      version: RESULTS_VERSION,
+      createdAt: new Date().toISOString(),
+      session: {
+        id: session.id,
+        startedAt: new Date(session.startedAt).toISOString(),
+        endedAt: session.endedAt ? new Date(session.endedAt).toISOString() : null,
+        source: session.source,
+        models: session.models,
+        frameCount: session.frameCount,
+        classCounts: session.classCounts
+      },
+      images
+    }, null, 2);
+
+    if (files.length === 0) {
+      return { content: json, type: 'application/json', extension: 'json' };
+    }
+    files.unshift({ name: 'session.json', content: json });
+    return { content: createZip(files), type: 'application/zip', extension: 'zip' };
+  }
+
+  // Run a request in a read-only transaction and resolve with its result
+  read(storeName, makeRequest) {
+    const transaction = this.db.transaction(storeName, 'readonly');
+    return requestResult(makeRequest(transaction.objectStore(storeName)));
+  }
+
+  /**
+   * Run requests in a read-write transaction
+   * @param {string[]} storeNames - Stores the transaction covers
+   * @param {Function} makeRequests - (stores by name) => request or undefined
+   * @returns {Promise} - Result of the returned request once the transaction has committed
+   */
+  write(storeNames, makeRequests) {
+    const transaction = this.db.transaction(storeNames, 'readwrite');
+    const stores = Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]));
+    const request = makeRequests(stores);
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('History write was aborted'));
+    });
+  }
+}
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
@@ -0,0 +1,71 @@
+// Detection results indexed by video timestamp, for reviewing recorded files
+export class DetectionTimeline {
+  constructor() {
+    this.entries = []; // { time (ms), detections, classifications }, sorted by time
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Store the results for a frame, replacing any earlier results at that time
+   * @param {number} time - Media time in milliseconds
+   */
+  set(time, result) {
+    const entry = { time: Math.round(time), ...result };
+    const index = this.findInsertIndex(entry.time);
+
+    if (this.entries[index]?.time === entry.time) {
+      this.entries[index] = entry;
+    } else {
+      this.entries.splice(index, 0, entry);
+    }
+  }
+
+  /**
+   * Results for the frame closest to a time, if one is within the tolerance
+   * @param {number} time - Media time in milliseconds
+   * @param {number} tolerance - Maximum distance in milliseconds (about half a frame)
+   */
+  getNearest(time, tolerance = 20) {
+    const index = this.findInsertIndex(time);
+    let best = null;
+
+    for (const candidate of [this.entries[index - 1], this.entries[index]]) {
+      if (!candidate) continue;
+      const distance = Math.abs(candidate.time - time);
+      if (distance <= tolerance && (!best || distance < Math.abs(best.time - time))) {
+        best = candidate;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * All results, earliest first
+   */
+  getEntries() {
+    return this.entries;
+  }
+
+  clear() {
+    this.entries = [];
+  }
+
+  // Binary search for the first entry at or after a time
+  findInsertIndex(time) {
+    let low = 0;
+    let high = this.entries.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.entries[mid].time < time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+}
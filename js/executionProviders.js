@@ -0,0 +1,170 @@
+// ONNX Runtime execution provider detection (works on the page and inside workers)
+
+// Usually fastest first; 'wasm' always works and is the last resort
+export const EXECUTION_PROVIDERS = ['webgpu', 'webgl', 'wasm'];
+
+export const PROVIDER_LABELS = {
+  auto: 'Auto',
+  webgpu: 'WebGPU',
+  webgl: 'WebGL',
+  wasm: 'WASM'
+};
+
+// Smallest module using a v128 instruction (from wasm-feature-detect)
+const SIMD_TEST_MODULE = new Uint8Array([
+  0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 10, 1, 8, 0, 65, 0, 253, 15, 253, 98, 11
+]);
+
+const ORT_CDN_URLS = [
+  'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.18.0/dist/',
+  'https://unpkg.com/onnxruntime-web@1.18.0/dist/'
+];
+
+// ONNX Runtime builds and the backends they register. ort.min.js has no WebGPU;
+// ort.webgpu.min.js has WebGPU and WASM (with its own .jsep.wasm files) but no WebGL.
+export const ORT_BUNDLES = {
+  default: {
+    file: 'ort.min.js',
+    integrity: 'sha384-+sDrjb5Otytk3e52a47vPhUx98dLh5PCPk8NHBLoekdIAC8urCZbpRWfw/mMXYQv',
+    providers: ['webgl', 'wasm']
+  },
+  webgpu: {
+    file: 'ort.webgpu.min.js',
+    integrity: 'sha384-QAVM8FI44dFhLGrDA0c3yNBwEjCiE08dGB6UalKTiwS1fL6JabbKWPEf9p9Iq/ms',
+    providers: ['webgpu', 'wasm']
+  }
+};
+
+let probePromise = null;
+let runtimeSource = { bundle: 'default', url: null }; // The ONNX Runtime build loaded in this scope
+
+/**
+ * Probe which execution providers this browser can use with the loaded ONNX Runtime build
+ * @returns {Promise<Object>} - { webgpu, webgl, wasm, wasmSimd, wasmThreads, available }
+ */
+export async function probeExecutionProviders() {
+  if (!probePromise) {
+    probePromise = runProbe();
+  }
+  const capabilities = await probePromise;
+  const registered = ORT_BUNDLES[runtimeSource.bundle].providers;
+  return {
+    ...capabilities,
+    available: EXECUTION_PROVIDERS.filter(provider => capabilities[provider] && registered.includes(provider))
+  };
+}
+
+async function runProbe() {
+  const [webgpu, webgl] = await Promise.all([probeWebGpu(), probeWebGl()]);
+  const wasmSimd = probeWasmSimd();
+  const wasmThreads = probeWasmThreads();
+
+  return { webgpu, webgl, wasm: true, wasmSimd, wasmThreads };
+}
+
+/**
+ * Where to load ONNX Runtime from, in order: the WebGPU build from the CDNs when the
+ * browser has a WebGPU adapter, then the default build from the CDNs and the local copy
+ * @param {Object} capabilities - Result of probeExecutionProviders
+ * @param {string} baseUrl - Resolves the local copy (needed inside workers)
+ * @returns {Object[]} - { url, integrity, bundle, source }; the local copy has no integrity hash
+ */
+export function getOnnxRuntimeSources(capabilities, baseUrl = null) {
+  const sources = [];
+  const bundles = capabilities.webgpu ? ['webgpu', 'default'] : ['default'];
+  for (const bundle of bundles) {
+    const { file, integrity } = ORT_BUNDLES[bundle];
+    for (const cdnUrl of ORT_CDN_URLS) {
+      sources.push({ url: cdnUrl + file, integrity, bundle, source: 'CDN' });
+    }
+  }
+
+  // Only the default build ships in lib/
+  const localUrl = './lib/ort.min.js';
+  sources.push({ url: baseUrl ? new URL(localUrl, baseUrl).href : localUrl, integrity: null, bundle: 'default', source: 'Local' });
+  return sources;
+}
+
+/**
+ * Record which ONNX Runtime build was loaded, so only its backends are offered
+ * @param {Object} source - The entry from getOnnxRuntimeSources that loaded
+ */
+export function setOnnxRuntimeSource(source) {
+  runtimeSource = source;
+}
+
+/**
+ * Directory ONNX Runtime should fetch its .wasm files from
+ * @param {string} localPath - The app's own copy of the default build's .wasm files
+ */
+export function getWasmPaths(localPath) {
+  // The WebGPU build's .jsep.wasm files are not shipped with the app, so they come from its CDN
+  if (runtimeSource.bundle === 'webgpu') {
+    return runtimeSource.url.substring(0, runtimeSource.url.lastIndexOf('/') + 1);
+  }
+  return localPath;
+}
+
+async function probeWebGpu() {
+  try {
+    if (typeof navigator === 'undefined' || !navigator.gpu) {
+      return false;
+    }
+    const adapter = await navigator.gpu.requestAdapter();
+    return !!adapter;
+  } catch (error) {
+    return false;
+  }
+}
+
+function probeWebGl() {
+  try {
+    const canvas = typeof document !== 'undefined'
+      ? document.createElement('canvas')
+      : new OffscreenCanvas(1, 1);
+    return !!(canvas.getContext('webgl2') || canvas.getContext('webgl'));
+  } catch (error) {
+    return false;
+  }
+}
+
+function probeWasmSimd() {
+  try {
+    return WebAssembly.validate(SIMD_TEST_MODULE);
+  } catch (error) {
+    return false;
+  }
+}
+
+function probeWasmThreads() {
+  // Threads need SharedArrayBuffer, which needs a cross-origin isolated page
+  return typeof SharedArrayBuffer !== 'undefined' && self.crossOriginIsolated === true;
+}
+
+/**
+ * Apply WASM settings that match the probed capabilities
+ */
+export function configureWasmBackend(capabilities) {
+  ort.env.wasm.simd = capabilities.wasmSimd;
+  ort.env.wasm.numThreads = capabilities.wasmThreads ? (navigator.hardwareConcurrency || 4) : 1;
+}
+
+/**
+ * Providers to try for a preference, fastest first, skipping known failures
+ * @param {string} preference - 'auto' or a provider name
+ * @param {string[]} available - Providers the probe found
+ * @param {Set<string>} failed - Providers that already threw for this model
+ */
+export function getProviderCandidates(preference, available, failed = new Set()) {
+  const ordered = preference === 'auto'
+    ? available
+    : [preference, ...available.filter(provider => provider !== preference)];
+
+  const candidates = ordered.filter(provider => !failed.has(provider));
+
+  // WASM is the safety net even if it was marked failed on an earlier attempt
+  if (!candidates.includes('wasm')) {
+    candidates.push('wasm');
+  }
+  return candidates;
+}
@@ -0,0 +1,284 @@
+// Annotation exporters for results files (see createResults in results.js)
+//
+// Every exporter takes the same results object, so the current frame, a
+// capture session and a batch run export the same way.
+import { DEFAULT_KEYPOINT_COUNT, keypointNames, skeletonFor } from './keypoints.js';
+import { createZip } from './zip.js';
+
+export const EXPORT_FORMATS = ['coco', 'yolo', 'voc', 'csv'];
+
+export const EXPORT_FORMAT_LABELS = {
+  coco: 'COCO JSON',
+  yolo: 'YOLO txt (zip)',
+  voc: 'Pascal VOC XML (zip)',
+  csv: 'CSV'
+};
+
+/**
+ * Convert results to an annotation format
+ * @param {Object} results - { createdAt, model, filter, images }
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {Object} - { content (string or Blob), type, extension }
+ */
+export function exportResults(results, format) {
+  switch (format) {
+    case 'coco':
+      return { content: JSON.stringify(toCoco(results), null, 2), type: 'application/json', extension: 'json' };
+    case 'yolo':
+      return { content: createZip(toYoloFiles(results)), type: 'application/zip', extension: 'zip' };
+    case 'voc':
+      return { content: createZip(toVocFiles(results)), type: 'application/zip', extension: 'zip' };
+    case 'csv':
+      return { content: toCsv(results), type: 'text/csv', extension: 'csv' };
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+/**
+ * COCO object detection (and person keypoint) annotations, with scores;
+ * category ids are class ids + 1 as COCO reserves 0
+ */
+export function toCoco(results) {
+  const { model, filter } = results;
+  const classes = classNames(results);
+  const isPose = model.modelType === 'pose';
+  const keypointCount = model.keypoints || DEFAULT_KEYPOINT_COUNT; // Older results files have no count
+  const images = [];
+  const annotations = [];
+
+  processedImages(results).forEach((image, index) => {
+    const imageId = index + 1;
+    images.push({ id: imageId, file_name: image.file, width: image.width, height: image.height });
+
+    for (const detection of image.detections) {
+      const { x0, y0, x1, y1 } = detection.box;
+      const width = x1 - x0;
+      const height = y1 - y0;
+      const annotation = {
+        id: annotations.length + 1,
+        image_id: imageId,
+        category_id: detection.classId + 1,
+        bbox: [x0, y0, width, height],
+        area: round(width * height),
+        iscrowd: 0,
+        score: detection.score
+      };
+      if (detection.trackId !== undefined) {
+        annotation.track_id = detection.trackId;
+      }
+      if (detection.keypoints) {
+        const visible = detection.keypoints.map(keypoint => keypoint.score >= filter.keypointThreshold);
+        annotation.keypoints = detection.keypoints.flatMap((keypoint, i) =>
+          visible[i] ? [keypoint.x, keypoint.y, 2] : [0, 0, 0]
+        );
+        annotation.num_keypoints = visible.filter(Boolean).length;
+      }
+      annotations.push(annotation);
+    }
+  });
+
+  return {
+    info: {
+      description: `Detections by ${model.name}`,
+      date_created: results.createdAt,
+      model,
+      filter
+    },
+    images,
+    annotations,
+    categories: classes.map((name, classId) => {
+      const category = { id: classId + 1, name, supercategory: 'object' };
+      if (isPose) {
+        category.keypoints = keypointNames(keypointCount);
+        category.skeleton = skeletonFor(keypointCount).map(([a, b]) => [a + 1, b + 1]);
+      }
+      return category;
+    })
+  };
+}
+
+/**
+ * One YOLO label file per image (class cx cy w h, normalized), plus
+ * classes.txt and the model / threshold metadata YOLO files can't hold
+ */
+export function toYoloFiles(results) {
+  const images = processedImages(results);
+  const stems = uniqueStems(images);
+  const files = [
+    { name: 'classes.txt', content: classNames(results).join('\n') + '\n' },
+    { name: 'metadata.json', content: JSON.stringify(describeExport(results, images, stems), null, 2) }
+  ];
+
+  images.forEach((image, index) => {
+    const lines = image.detections.map(({ classId, box }) => {
+      const cx = (box.x0 + box.x1) / 2 / image.width;
+      const cy = (box.y0 + box.y1) / 2 / image.height;
+      const w = (box.x1 - box.x0) / image.width;
+      const h = (box.y1 - box.y0) / image.height;
+      return [classId, cx, cy, w, h].map((value, i) => i === 0 ? value : value.toFixed(6)).join(' ');
+    });
+    // Images without detections still get an (empty) label file
+    files.push({ name: `labels/${stems[index]}.txt`, content: lines.map(line => line + '\n').join('') });
+  });
+
+  return files;
+}
+
+/**
+ * One Pascal VOC annotation per image
+ */
+export function toVocFiles(results) {
+  const { model, filter } = results;
+  const classes = classNames(results);
+  const images = processedImages(results);
+  const stems = uniqueStems(images);
+
+  return images.map((image, index) => {
+    const objects = image.detections.map(detection => {
+      const { x0, y0, x1, y1 } = detection.box;
+      return `
+  <object>
+    <name>${escapeXml(classes[detection.classId] ?? detection.label)}</name>
+    <pose>Unspecified</pose>
+    <truncated>0</truncated>
+    <difficult>0</difficult>
+    <score>${detection.score}</score>
+    <bndbox>
+      <xmin>${clampPixel(x0, image.width)}</xmin>
+      <ymin>${clampPixel(y0, image.height)}</ymin>
+      <xmax>${clampPixel(x1, image.width)}</xmax>
+      <ymax>${clampPixel(y1, image.height)}</ymax>
+    </bndbox>
+  </object>`;
+    }).join('');
+
+    const slash = image.file.lastIndexOf('/');
+    const content = `<?xml version="1.0" encoding="UTF-8"?>
+<annotation>
+  <folder>${escapeXml(slash >= 0 ? image.file.substring(0, slash) : '')}</folder>
+  <filename>${escapeXml(image.file.substring(slash + 1))}</filename>
+  <path>${escapeXml(image.file)}</path>
+  <source>
+    <database>Real-Time Object Detection</database>
+    <annotation>${escapeXml(model.name)}</annotation>
+  </source>
+  <detector>
+    <model>${escapeXml(model.id)}</model>
+    <resolution>${model.resolution.join('x')}</resolution>
+    <confidenceThreshold>${filter.confidenceThreshold}</confidenceThreshold>
+  </detector>
+  <size>
+    <width>${image.width}</width>
+    <height>${image.height}</height>
+    <depth>3</depth>
+  </size>
+  <segmented>0</segmented>${objects}
+</annotation>
+`;
+    return { name: `Annotations/${stems[index]}.xml`, content };
+  });
+}
+
+/**
+ * One row per detection; images without detections get a row with empty detection columns
+ */
+export function toCsv(results) {
+  const { model, filter } = results;
+  const classes = classNames(results);
+  const rows = [[
+    'image', 'width', 'height', 'model', 'confidence_threshold',
+    'class_id', 'class_name', 'score', 'x0', 'y0', 'x1', 'y1', 'track_id'
+  ]];
+
+  for (const image of processedImages(results)) {
+    const imageColumns = [image.file, image.width, image.height, model.id, filter.confidenceThreshold];
+    if (image.detections.length === 0) {
+      rows.push([...imageColumns, '', '', '', '', '', '', '', '']);
+    }
+    for (const detection of image.detections) {
+      const { x0, y0, x1, y1 } = detection.box;
+      rows.push([
+        ...imageColumns,
+        detection.classId,
+        classes[detection.classId] ?? detection.label,
+        detection.score,
+        x0, y0, x1, y1,
+        detection.trackId ?? ''
+      ]);
+    }
+  }
+
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+// Images that were decoded and detected on; failed batch entries are left out
+function processedImages(results) {
+  return results.images.filter(image => !image.error);
+}
+
+// Class names by id, from the model's label set or else the detections themselves
+function classNames(results) {
+  if (results.model.classes) {
+    return results.model.classes;
+  }
+
+  const names = [];
+  for (const image of processedImages(results)) {
+    for (const { classId, label } of image.detections) {
+      names[classId] = label;
+    }
+  }
+  return Array.from(names, (name, classId) => name ?? `class_${classId}`);
+}
+
+function describeExport(results, images, stems) {
+  return {
+    createdAt: results.createdAt,
+    model: results.model,
+    filter: results.filter,
+    images: images.map(({ file, width, height }, index) => ({ file, width, height, labels: `labels/${stems[index]}.txt` }))
+  };
+}
+
+// Path without its extension, for per-image annotation files
+function stem(path) {
+  return path.replace(/\.[^./]*$/, '');
+}
+
+// Stems for per-image annotation files, with a numeric suffix where two images
+// would otherwise share one (a.jpg and a.png, or captures at the same video time)
+function uniqueStems(images) {
+  const used = new Set();
+  return images.map(image => {
+    const base = stem(image.file);
+    let name = base;
+    for (let suffix = 2; used.has(name); suffix++) {
+      name = `${base}_${suffix}`;
+    }
+    used.add(name);
+    return name;
+  });
+}
+
+function clampPixel(value, size) {
+  return Math.min(size, Math.max(0, Math.round(value)));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function escapeCsv(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
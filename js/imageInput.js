@@ -0,0 +1,98 @@
+// Still image input: files from the picker, drag-and-drop or the clipboard
+import { drawResized } from './resize.js';
+
+export class ImageInput {
+  constructor() {
+    this.bitmap = null;
+    this.name = null;
+  }
+
+  static isImageFile(file) {
+    return !!file && file.type.startsWith('image/');
+  }
+
+  /**
+   * Pick the first image out of a FileList or DataTransfer item list
+   */
+  static findImageFile(files) {
+    return Array.from(files || []).find(file => ImageInput.isImageFile(file)) || null;
+  }
+
+  /**
+   * Decode an image file at its native resolution
+   * @param {Blob} file - Image file or clipboard blob
+   * @param {string} name - Name shown in the UI and used for exports
+   * @returns {Promise<Object>} - { width, height }
+   */
+  async load(file, name = file.name || 'pasted-image') {
+    if (!ImageInput.isImageFile(file)) {
+      throw new Error(`Not an image file: ${name}`);
+    }
+
+    // Honour EXIF orientation so phone photos aren't sideways
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+
+    this.clear();
+    this.bitmap = bitmap;
+    this.name = name;
+    console.log(`🖼️ Loaded image ${name} (${bitmap.width}×${bitmap.height})`);
+
+    return this.getFrameDimensions();
+  }
+
+  /**
+   * Use an already decoded frame, e.g. one grabbed from the camera
+   * @param {ImageBitmap} bitmap - Taken over; closed by clear()
+   */
+  setBitmap(bitmap, name) {
+    this.clear();
+    this.bitmap = bitmap;
+    this.name = name;
+  }
+
+  isReady() {
+    return !!this.bitmap;
+  }
+
+  getFrameDimensions() {
+    return {
+      width: this.bitmap?.width || 0,
+      height: this.bitmap?.height || 0
+    };
+  }
+
+  // Same contract as CameraManager.createProcessingCanvas
+  createProcessingCanvas(targetWidth, targetHeight, transform = null) {
+    if (!this.bitmap) {
+      return null;
+    }
+
+    const processingCanvas = document.createElement('canvas');
+    processingCanvas.width = targetWidth;
+    processingCanvas.height = targetHeight;
+    const processingContext = processingCanvas.getContext('2d', { willReadFrequently: true });
+
+    if (transform) {
+      drawResized(processingContext, this.bitmap, transform);
+    } else {
+      processingContext.drawImage(this.bitmap, 0, 0, targetWidth, targetHeight);
+    }
+
+    return processingContext;
+  }
+
+  /**
+   * Copy of the image for the inference worker, which takes ownership of it
+   */
+  createFrameBitmap() {
+    return createImageBitmap(this.bitmap);
+  }
+
+  clear() {
+    if (this.bitmap) {
+      this.bitmap.close();
+      this.bitmap = null;
+    }
+    this.name = null;
+  }
+}
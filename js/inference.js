@@ -1,4 +1,17 @@
 // Image preprocessing and tensor operations
+import { drawResized } from './resize.js';
+
+// Canvases come from the DOM on the page and from OffscreenCanvas inside workers
+export function createCanvas(width, height) {
+  if (typeof document === 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
 export class InferenceEngine {
   constructor() {
     // Canvas cache for different resolutions to avoid repeated creation
@@ -19,17 +32,14 @@ export class InferenceEngine {
       }
       
       // Create new canvas
-      const canvas = document.createElement('canvas');
-      canvas.width = targetWidth;
-      canvas.height = targetHeight;
-      this.processingCanvasCache.set(key, canvas);
+      this.processingCanvasCache.set(key, createCanvas(targetWidth, targetHeight));
     }
     
     return this.processingCanvasCache.get(key);
   }
 
   // Resize canvas context to target dimensions (optimized with caching)
-  resizeCanvasContext(ctx, targetWidth, targetHeight) {
+  resizeCanvasContext(ctx, targetWidth, targetHeight, transform = null) {
     const cachedCanvas = this.getCachedCanvas(targetWidth, targetHeight);
     const newContext = cachedCanvas.getContext('2d', { willReadFrequently: true });
     
@@ -37,20 +47,32 @@ export class InferenceEngine {
     newContext.clearRect(0, 0, targetWidth, targetHeight);
     
     // Draw the source canvas into the cached canvas
-    newContext.drawImage(ctx.canvas, 0, 0, targetWidth, targetHeight);
+    if (transform) {
+      drawResized(newContext, ctx.canvas, transform);
+    } else {
+      newContext.drawImage(ctx.canvas, 0, 0, targetWidth, targetHeight);
+    }
     
     return newContext;
   }
 
   // Preprocess image data for YOLO models
-  preprocess(ctx, modelResolution) {
+  // Pass a resize transform when ctx holds the full-size source frame, and a
+  // { mean, std } normalization (per RGB channel, on 0-1 values) for models that need one
+  preprocess(ctx, modelResolution, transform = null, normalization = null) {
     const [targetWidth, targetHeight] = modelResolution;
     
     // Resize to model input size
-    const resizedCtx = this.resizeCanvasContext(ctx, targetWidth, targetHeight);
+    const resizedCtx = this.resizeCanvasContext(ctx, targetWidth, targetHeight, transform);
     
     // Get image data
     const imageData = resizedCtx.getImageData(0, 0, targetWidth, targetHeight);
+    return this.imageDataToTensor(imageData, normalization);
+  }
+
+  // Build the input tensor from model-sized image data, e.g. read straight from a canvas
+  // the frame was already fitted into
+  imageDataToTensor(imageData, normalization = null) {
     const { data, width, height } = imageData;
     
     // Convert image data to tensor format (optimized)
@@ -74,6 +96,19 @@ export class InferenceEngine {
       tensorData[i + channelSize * 2] = data[j + 2] * inv255;     // B
     }
 
+    // e.g. ImageNet classifiers expect (value - mean) / std per channel
+    if (normalization) {
+      const { mean = [0, 0, 0], std = [1, 1, 1] } = normalization;
+      for (let c = 0; c < 3; c++) {
+        const offset = c * channelSize;
+        const channelMean = mean[c];
+        const invStd = 1 / std[c];
+        for (let i = 0; i < channelSize; i++) {
+          tensorData[offset + i] = (tensorData[offset + i] - channelMean) * invStd;
+        }
+      }
+    }
+
     // Create ONNX tensor
     const tensor = new ort.Tensor(
       'float32', 
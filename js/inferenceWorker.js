@@ -0,0 +1,206 @@
+// Dedicated worker running preprocessing, inference and decoding off the main thread
+//
+// Messages in:  { id, type: 'init' | 'loadModel' | 'setExecutionProvider' | 'detect', ... }
+// Messages out: { id, type: 'result', result } or { id, type: 'error', message }
+import { ModelManager } from './models.js';
+import { InferenceEngine } from './inference.js';
+import { PostProcessor } from './postprocess.js';
+import { DetectionFilter } from './detectionFilter.js';
+import { computeResizeTransform, drawResized } from './resize.js';
+import {
+  probeExecutionProviders,
+  configureWasmBackend,
+  getOnnxRuntimeSources,
+  setOnnxRuntimeSource,
+  getWasmPaths
+} from './executionProviders.js';
+
+const state = {
+  modelManager: null,
+  inferenceEngine: new InferenceEngine(),
+  postProcessor: new PostProcessor(),
+  frameCanvas: null
+};
+
+self.addEventListener('message', async (event) => {
+  const { id, type } = event.data;
+
+  try {
+    let result;
+    switch (type) {
+      case 'init':
+        result = await handleInit(event.data);
+        break;
+      case 'loadModel':
+        result = await handleLoadModel(event.data);
+        break;
+      case 'setExecutionProvider':
+        result = await handleSetExecutionProvider(event.data);
+        break;
+      case 'detect':
+        result = await handleDetect(event.data);
+        break;
+      default:
+        throw new Error(`Unknown worker message type: ${type}`);
+    }
+    self.postMessage({ id, type: 'result', result }, result?.frame ? [result.frame] : []);
+  } catch (error) {
+    console.error(`❌ Worker ${type} failed:`, error);
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+});
+
+async function handleInit({ baseUrl, modelIndex, executionProvider }) {
+  const source = await loadOnnxRuntime(baseUrl);
+  state.modelManager = new ModelManager({ baseUrl });
+  state.modelManager.setExecutionProvider(executionProvider || 'auto');
+  await state.modelManager.loadManifest();
+  return handleLoadModel({ modelIndex, source });
+}
+
+async function handleLoadModel({ modelIndex, source }) {
+  state.modelManager.currentModelIndex = modelIndex;
+  await state.modelManager.loadCurrentModel();
+  return {
+    modelIndex: state.modelManager.currentModelIndex,
+    executionProvider: await state.modelManager.getExecutionProviderInfo(),
+    source
+  };
+}
+
+async function handleSetExecutionProvider({ executionProvider }) {
+  state.modelManager.setExecutionProvider(executionProvider);
+  return handleLoadModel({ modelIndex: state.modelManager.currentModelIndex });
+}
+
+async function handleDetect({ bitmap, config, filter, displayDimensions, returnFrame }) {
+  let keepBitmap = false;
+  try {
+    const [targetWidth, targetHeight] = config.resolution;
+    const transform = computeResizeTransform(bitmap.width, bitmap.height, config.resolution, config.resizeMode);
+
+    // Fit the frame into the model input on a reusable OffscreenCanvas
+    if (!state.frameCanvas || state.frameCanvas.width !== targetWidth || state.frameCanvas.height !== targetHeight) {
+      state.frameCanvas = new OffscreenCanvas(targetWidth, targetHeight);
+    }
+    const frameCtx = state.frameCanvas.getContext('2d', { willReadFrequently: true });
+    drawResized(frameCtx, bitmap, transform);
+
+    // The canvas is already model-sized, so read it directly rather than copying it again
+    const imageData = frameCtx.getImageData(0, 0, targetWidth, targetHeight);
+    const preprocessedData = state.inferenceEngine.imageDataToTensor(imageData, config.normalization);
+    const [outputs, inferenceTime] = await state.modelManager.runInference(preprocessedData);
+    const detectionFilter = filter ? DetectionFilter.fromJSON(filter) : null;
+
+    // Classifiers produce one label list for the whole frame instead of boxes
+    let detections = [];
+    let classifications = null;
+    if (config.modelType === 'classify') {
+      classifications = state.postProcessor.classify(outputs, {
+        topK: config.topK,
+        softmax: config.softmax,
+        labels: state.modelManager.currentLabels,
+        filter: detectionFilter
+      });
+    } else {
+      detections = state.postProcessor.postprocess(
+        outputs,
+        config.resolution,
+        config.name,
+        displayDimensions,
+        {
+          transform,
+          outputFormat: config.outputFormat,
+          nms: config.nms,
+          keypointCount: config.keypoints,
+          filter: detectionFilter,
+          labels: state.modelManager.currentLabels
+        }
+      );
+    }
+
+    // Sent back (transferred, not copied) when the caller wants to crop from the detected frame
+    keepBitmap = !!returnFrame;
+    return {
+      detections,
+      classifications,
+      inferenceTime,
+      transform,
+      // Reported every frame because a run-time failure can switch providers
+      executionProvider: state.modelManager.activeProvider,
+      frame: keepBitmap ? bitmap : null
+    };
+  } finally {
+    // The bitmap was transferred to us, so release it here unless it goes back
+    if (!keepBitmap) {
+      bitmap.close();
+    }
+  }
+}
+
+/**
+ * Load ONNX Runtime into the worker scope
+ *
+ * Module workers cannot use importScripts, and the ONNX Runtime builds are strict-mode
+ * scripts declaring `var ort`. The source is fetched and checked against its
+ * integrity hash, then those same bytes are imported as a module (from a blob
+ * URL, with an export of the namespace appended), so no eval is needed.
+ */
+async function loadOnnxRuntime(baseUrl) {
+  if (typeof self.ort !== 'undefined') {
+    return 'cached';
+  }
+
+  // Same sources, order and integrity hashes as DependencyLoader
+  for (const source of getOnnxRuntimeSources(await probeExecutionProviders(), baseUrl)) {
+    const url = source.url;
+
+    try {
+      console.log(`🔄 Worker loading ONNX Runtime from ${url}`);
+      const response = await fetch(url, { credentials: 'omit', referrerPolicy: 'no-referrer' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const bytes = await response.arrayBuffer();
+      if (source.integrity) {
+        await verifyIntegrity(bytes, source.integrity);
+      }
+      self.ort = await importVerifiedScript(bytes);
+      if (!self.ort || !self.ort.InferenceSession) {
+        throw new Error('ONNX Runtime object not available after script load');
+      }
+
+      setOnnxRuntimeSource(source);
+      ort.env.wasm.wasmPaths = getWasmPaths(new URL('./js/', baseUrl).href);
+      configureWasmBackend(await probeExecutionProviders());
+
+      console.log(`✅ Worker loaded ONNX Runtime from ${url}`);
+      return url;
+    } catch (error) {
+      console.warn(`❌ Worker failed to load ONNX Runtime from ${url}:`, error.message);
+      self.ort = undefined;
+    }
+  }
+
+  throw new Error('Failed to load ONNX Runtime in worker from all available sources');
+}
+
+async function importVerifiedScript(bytes) {
+  const moduleUrl = URL.createObjectURL(new Blob([bytes, '\nexport default ort;\n'], { type: 'text/javascript' }));
+  try {
+    return (await import(moduleUrl)).default;
+  } finally {
+    URL.revokeObjectURL(moduleUrl);
+  }
+}
+
+async function verifyIntegrity(bytes, integrity) {
+  const [algorithm, expected] = integrity.split(/-(.+)/);
+  const digest = await crypto.subtle.digest(algorithm.replace('sha', 'SHA-'), bytes);
+  const actual = btoa(String.fromCharCode(...new Uint8Array(digest)));
+
+  if (actual !== expected) {
+    throw new Error('Script integrity check failed');
+  }
+}
@@ -0,0 +1,210 @@
+// Room inventory: unique objects collected from tracked detections during a scan
+import { trackKey } from './tracker.js';
+
+const DEFAULT_INVENTORY_OPTIONS = {
+  reidentifySimilarity: 0.75, // Colour histogram overlap a new track needs with a lost item of its class
+  signatureSize: 32,          // Side of the downscaled crop the colour histogram is taken from
+  signatureBins: 4,           // Histogram levels per RGB channel
+  thumbnailSize: 96,        // Longest thumbnail side in pixels
+  thumbnailPadding: 0.1,    // Context kept around the box, as a fraction of its size
+  thumbnailMinGain: 0.03    // Score improvement needed before a thumbnail is replaced
+};
+
+export class RoomInventory {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_INVENTORY_OPTIONS, ...options };
+    this.clear();
+  }
+
+  clear() {
+    this.items = [];
+    this.trackItems = new Map(); // track key -> item
+    this.nextId = 1;
+    this.startTime = null;
+  }
+
+  /**
+   * Add a frame's tracked detections; only confirmed tracks become items
+   * @param {Object[]} detections - Detections from ObjectTracker.update
+   * @param {number} timestamp - Frame time in milliseconds (the tracker's clock)
+   * @param {CanvasImageSource} frame - Frame the boxes' source coordinates refer to, for thumbnails
+   */
+  update(detections, timestamp, frame = null) {
+    if (this.startTime === null) {
+      this.startTime = timestamp;
+    }
+
+    for (const detection of detections) {
+      if (detection.trackId === undefined || !detection.trackConfirmed) continue;
+
+      const key = trackKey(detection, timestamp);
+      let item = this.trackItems.get(key);
+      if (!item) {
+        const signature = frame ? this.createSignature(frame, detection.box.source) : null;
+        item = this.findLostItem(detection, timestamp, signature) || this.addItem(detection, timestamp);
+        item.signature ??= signature;
+        item.trackIds.push(detection.trackId);
+        this.trackItems.set(key, item);
+      }
+
+      item.lastSeen = timestamp;
+      item.lastBox = detection.box.source;
+      item.sightings++;
+
+      const improved = detection.score >= item.bestScore + this.options.thumbnailMinGain;
+      if (frame && (improved || !item.thumbnail)) {
+        item.bestScore = Math.max(item.bestScore, detection.score);
+        item.thumbnail = this.createThumbnail(frame, detection.box.source);
+        // Later tracks are matched against the best view of the object
+        item.signature = this.createSignature(frame, detection.box.source) || item.signature;
+      }
+    }
+  }
+
+  addItem(detection, timestamp) {
+    const item = {
+      id: this.nextId++,
+      classId: detection.classId,
+      label: detection.label,
+      color: detection.color || null,
+      firstSeen: timestamp,
+      lastSeen: timestamp,
+      lastBox: detection.box.source,
+      bestScore: detection.score,
+      thumbnail: null, // data: URL of the crop with the best score so far
+      signature: null, // Colour histogram of that crop, for re-identification
+      sightings: 0,
+      trackIds: []
+    };
+    this.items.push(item);
+    return item;
+  }
+
+  // A new track that looks like an item of its class not in view this frame is the same
+  // object, however long ago it was lost; the camera pans, so positions don't carry over
+  findLostItem(detection, timestamp, signature) {
+    if (!signature) return null;
+
+    let best = null;
+    let bestSimilarity = this.options.reidentifySimilarity;
+
+    for (const item of this.items) {
+      if (item.classId !== detection.classId || !item.signature) continue;
+      // Two similar objects in view together are two objects
+      if (item.lastSeen === timestamp) continue;
+      const similarity = histogramIntersection(item.signature, signature);
+      if (similarity >= bestSimilarity) {
+        best = item;
+        bestSimilarity = similarity;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Appearance signature of a box: a normalized RGB histogram of the crop
+   * @returns {Float32Array|null} - signatureBins³ bins summing to 1
+   */
+  createSignature(frame, box) {
+    const { signatureSize, signatureBins } = this.options;
+    const width = box.x1 - box.x0;
+    const height = box.y1 - box.y0;
+    if (width < 1 || height < 1) {
+      return null;
+    }
+
+    if (!this.signatureCanvas) {
+      this.signatureCanvas = document.createElement('canvas');
+      this.signatureCanvas.width = signatureSize;
+      this.signatureCanvas.height = signatureSize;
+    }
+    const ctx = this.signatureCanvas.getContext('2d', { willReadFrequently: true });
+    ctx.clearRect(0, 0, signatureSize, signatureSize);
+    ctx.drawImage(frame, box.x0, box.y0, width, height, 0, 0, signatureSize, signatureSize);
+    const { data } = ctx.getImageData(0, 0, signatureSize, signatureSize);
+
+    const histogram = new Float32Array(signatureBins ** 3);
+    const binWidth = 256 / signatureBins;
+    let total = 0;
+    for (let i = 0; i < data.length; i += 4) {
+      // Parts of the box outside the frame stay transparent and are skipped
+      if (data[i + 3] === 0) continue;
+      const r = Math.floor(data[i] / binWidth);
+      const g = Math.floor(data[i + 1] / binWidth);
+      const b = Math.floor(data[i + 2] / binWidth);
+      histogram[(r * signatureBins + g) * signatureBins + b]++;
+      total++;
+    }
+    if (total === 0) {
+      return null;
+    }
+
+    for (let i = 0; i < histogram.length; i++) {
+      histogram[i] /= total;
+    }
+    return histogram;
+  }
+
+  createThumbnail(frame, box) {
+    const { thumbnailSize, thumbnailPadding } = this.options;
+    const padX = (box.x1 - box.x0) * thumbnailPadding;
+    const padY = (box.y1 - box.y0) * thumbnailPadding;
+    const frameWidth = frame.videoWidth || frame.width;
+    const frameHeight = frame.videoHeight || frame.height;
+    const x0 = Math.max(0, box.x0 - padX);
+    const y0 = Math.max(0, box.y0 - padY);
+    const width = Math.min(frameWidth, box.x1 + padX) - x0;
+    const height = Math.min(frameHeight, box.y1 + padY) - y0;
+    if (width <= 0 || height <= 0) {
+      return null;
+    }
+
+    const scale = thumbnailSize / Math.max(width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    canvas.getContext('2d').drawImage(frame, x0, y0, width, height, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', 0.8);
+  }
+
+  /**
+   * Number of unique items per class label, most common first
+   * @returns {Object[]} - { label, color, count }
+   */
+  getCounts() {
+    const counts = new Map();
+    for (const item of this.items) {
+      const entry = counts.get(item.label) || { label: item.label, color: item.color, count: 0 };
+      entry.count++;
+      counts.set(item.label, entry);
+    }
+    return Array.from(counts.values()).sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+  }
+
+  /**
+   * Items, most recently seen first, with times relative to the start of the scan
+   */
+  getItems() {
+    return this.items
+      .map(item => ({
+        ...item,
+        firstSeenOffset: item.firstSeen - this.startTime,
+        lastSeenOffset: item.lastSeen - this.startTime
+      }))
+      .sort((a, b) => b.lastSeen - a.lastSeen);
+  }
+
+  get size() {
+    return this.items.length;
+  }
+}
+
+// Overlap of two normalized histograms: 1 when identical, 0 when disjoint
+function histogramIntersection(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += Math.min(a[i], b[i]);
+  }
+  return sum;
+}
@@ -0,0 +1,45 @@
+// COCO person keypoints as output by YOLO pose models
+
+export const COCO_KEYPOINTS = [
+  'nose',
+  'left_eye', 'right_eye',
+  'left_ear', 'right_ear',
+  'left_shoulder', 'right_shoulder',
+  'left_elbow', 'right_elbow',
+  'left_wrist', 'right_wrist',
+  'left_hip', 'right_hip',
+  'left_knee', 'right_knee',
+  'left_ankle', 'right_ankle'
+];
+
+// Limbs as pairs of keypoint indices
+export const COCO_SKELETON = [
+  [15, 13], [13, 11], [16, 14], [14, 12], [11, 12], // Legs and hips
+  [5, 11], [6, 12], [5, 6],                         // Torso
+  [5, 7], [7, 9], [6, 8], [8, 10],                  // Arms
+  [1, 2], [0, 1], [0, 2], [1, 3], [2, 4], [3, 5], [4, 6] // Head
+];
+
+export const DEFAULT_KEYPOINT_THRESHOLD = 0.5;
+
+// Pose models without a manifest "keypoints" count output the COCO set
+export const DEFAULT_KEYPOINT_COUNT = COCO_KEYPOINTS.length;
+
+/**
+ * Keypoint names for a pose model: the COCO names for 17 keypoints, otherwise keypoint_<index>
+ * @param {number} count - Keypoints per detection
+ */
+export function keypointNames(count) {
+  if (count === COCO_KEYPOINTS.length) {
+    return COCO_KEYPOINTS;
+  }
+  return Array.from({ length: count }, (_, k) => `keypoint_${k}`);
+}
+
+/**
+ * Limbs to draw between keypoints; only the COCO set has a known skeleton
+ * @param {number} count - Keypoints per detection
+ */
+export function skeletonFor(count) {
+  return count === COCO_KEYPOINTS.length ? COCO_SKELETON : [];
+}
@@ -0,0 +1,81 @@
+// Class label sets, one per model (see "labels" in models/manifest.json)
+import { yoloClasses } from '../data/yolo_classes.js';
+
+// Manifest value that selects the built-in COCO list from data/yolo_classes.js
+export const BUILTIN_LABEL_SET = 'coco';
+
+export class LabelSet {
+  /**
+   * @param {Object[]} entries - { name, displayName?, color? } per class id
+   * @param {string} source - Where the labels came from, for logging
+   */
+  constructor(entries, source = 'inline') {
+    this.source = source;
+    this.entries = entries.map(entry => ({
+      name: entry.name,
+      displayName: entry.displayName || capitalize(entry.name),
+      color: entry.color || null
+    }));
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  has(classId) {
+    return classId >= 0 && classId < this.entries.length;
+  }
+
+  getName(classId) {
+    return this.has(classId) ? this.entries[classId].name : `class_${classId}`;
+  }
+
+  getDisplayName(classId) {
+    return this.has(classId) ? this.entries[classId].displayName : `Class ${classId}`;
+  }
+
+  /**
+   * Fixed color for a class, or null to color by confidence
+   */
+  getColor(classId) {
+    return this.has(classId) ? this.entries[classId].color : null;
+  }
+
+  static builtin() {
+    return new LabelSet(yoloClasses.map(name => ({ name })), BUILTIN_LABEL_SET);
+  }
+
+  /**
+   * Parse a label file
+   *
+   * .txt files list one class name per line; blank lines and lines starting
+   * with # are skipped. JSON files hold either an array or { "labels": [...] },
+   * where each item is a name or { "name", "displayName", "color" }.
+   */
+  static parse(text, filename) {
+    if (filename.endsWith('.json')) {
+      const json = JSON.parse(text);
+      const items = Array.isArray(json) ? json : json.labels;
+      if (!Array.isArray(items)) {
+        throw new Error(`Label file ${filename} must be an array or have a "labels" array`);
+      }
+
+      return new LabelSet(items.map((item, classId) => {
+        const entry = typeof item === 'string' ? { name: item } : item;
+        if (!entry || typeof entry.name !== 'string') {
+          throw new Error(`Label ${classId} in ${filename} is missing a name`);
+        }
+        return entry;
+      }), filename);
+    }
+
+    const names = text.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+    return new LabelSet(names.map(name => ({ name })), filename);
+  }
+}
+
+function capitalize(name) {
+  return name.charAt(0).toUpperCase() + name.substring(1);
+}
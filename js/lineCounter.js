@@ -0,0 +1,250 @@
+// Directional line-crossing counter for tracked objects
+//
+// Lines are stored normalized to the frame (0-1) from point a to point b.
+// "in" is a crossing from the left of a→b to its right (the side the arrow on
+// the overlay points to), "out" the opposite. Each track's box centroid only
+// changes side after it has been clear of a band around the line for a few
+// frames, so jitter near the line can't count one crossing twice.
+import { trackKey } from './tracker.js';
+
+const STORAGE_KEY = 'object-detection.lines';
+
+const LINE_COLORS = ['#ffd60a', '#ff4d6d', '#4cc9f0', '#80ed99'];
+
+const DEFAULT_LINE_OPTIONS = {
+  hysteresis: 0.02,  // Half-width of the dead band around the line, as a fraction of the frame diagonal
+  minFrames: 2,      // Consecutive frames on the new side before a crossing counts
+  trailLength: 30,   // Centroids kept per track
+  trackTimeout: 2000 // ms after which a track's trajectory is forgotten
+};
+
+export class LineCounter {
+  /**
+   * @param {Storage} storage - Where lines persist (localStorage by default)
+   */
+  constructor(storage = globalThis.localStorage ?? null, options = {}) {
+    this.storage = storage;
+    this.options = { ...DEFAULT_LINE_OPTIONS, ...options };
+    this.lines = [];
+    this.counts = new Map(); // line id -> { in: Map(label -> n), out: Map(label -> n) }
+    this.trajectories = new Map(); // track key -> { points, sides: Map(line id -> side state), lastSeen }
+    this.nextId = 1;
+  }
+
+  load() {
+    this.lines = [];
+    try {
+      const saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) || '[]');
+      this.lines = saved.filter(isValidLine);
+    } catch (error) {
+      console.warn('⚠️ Ignoring saved counting lines:', error.message);
+    }
+    this.nextId = this.lines.reduce((max, line) => Math.max(max, line.id), 0) + 1;
+    this.resetCounts();
+    return this.lines;
+  }
+
+  save() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.lines));
+    } catch (error) {
+      console.warn('⚠️ Could not save counting lines:', error.message);
+    }
+  }
+
+  /**
+   * Add a counting line and persist it
+   * @param {string} name - Shown on the overlay
+   * @param {Object[]} points - Two { x, y } points, normalized to the frame
+   * @param {string[]} classes - Class names to count; empty counts every class
+   */
+  addLine(name, [a, b], classes = []) {
+    const id = this.nextId++;
+    const line = {
+      id,
+      name: name.trim() || `Line ${id}`,
+      color: LINE_COLORS[(id - 1) % LINE_COLORS.length],
+      a: { x: a.x, y: a.y },
+      b: { x: b.x, y: b.y },
+      classes
+    };
+    this.lines.push(line);
+    this.counts.set(id, emptyCounts());
+    this.save();
+    console.log(`📏 Added counting line "${line.name}"${classes.length ? ` for ${classes.join(', ')}` : ''}`);
+    return line;
+  }
+
+  removeLine(id) {
+    this.lines = this.lines.filter(line => line.id !== id);
+    this.counts.delete(id);
+    for (const trajectory of this.trajectories.values()) {
+      trajectory.sides.delete(id);
+    }
+    this.save();
+  }
+
+  // Zero every total; lines are kept
+  resetCounts() {
+    this.counts = new Map(this.lines.map(line => [line.id, emptyCounts()]));
+    this.trajectories.clear();
+  }
+
+  /**
+   * Follow tracked centroids and count the crossings they make this frame
+   * @param {Object[]} detections - Tracked detections from ObjectTracker.update
+   * @param {Object} frameDimensions - { width, height } of the frame the source boxes are in
+   * @param {number} timestamp - Frame time in milliseconds (the tracker's clock)
+   * @param {LabelSet} labels - Label set for matching lines' class names
+   * @returns {Object[]} - { line, direction ('in' or 'out'), trackId, label, time }
+   */
+  update(detections, { width, height }, timestamp, labels) {
+    const { hysteresis, minFrames, trailLength, trackTimeout } = this.options;
+    const band = hysteresis * Math.hypot(width, height);
+    const crossings = [];
+
+    for (const detection of detections) {
+      if (detection.trackId === undefined || !detection.trackConfirmed || !detection.box.source) continue;
+
+      const key = trackKey(detection, timestamp);
+      let trajectory = this.trajectories.get(key);
+      if (!trajectory) {
+        trajectory = { points: [], sides: new Map(), lastSeen: timestamp };
+        this.trajectories.set(key, trajectory);
+      }
+
+      const { x0, y0, x1, y1 } = detection.box.source;
+      const point = { x: (x0 + x1) / 2, y: (y0 + y1) / 2 };
+      trajectory.points.push(point);
+      if (trajectory.points.length > trailLength) {
+        trajectory.points.shift();
+      }
+      trajectory.lastSeen = timestamp;
+
+      const className = labels ? labels.getName(detection.classId) : detection.label;
+      for (const line of this.lines) {
+        if (line.classes.length > 0 && !line.classes.includes(className)) continue;
+
+        const a = { x: line.a.x * width, y: line.a.y * height };
+        const b = { x: line.b.x * width, y: line.b.y * height };
+        const distance = signedDistance(point, a, b);
+
+        let side = trajectory.sides.get(line.id);
+        if (!side) {
+          side = { committed: 0, committedPoint: null, pending: 0, pendingFrames: 0 };
+          trajectory.sides.set(line.id, side);
+        }
+
+        // Inside the dead band nothing changes
+        if (Math.abs(distance) <= band) {
+          side.pending = 0;
+          side.pendingFrames = 0;
+          continue;
+        }
+
+        const current = Math.sign(distance);
+        if (side.committed === 0) {
+          side.committed = current;
+          side.committedPoint = point;
+          continue;
+        }
+        if (current === side.committed) {
+          side.committedPoint = point;
+          side.pending = 0;
+          side.pendingFrames = 0;
+          continue;
+        }
+
+        side.pendingFrames = side.pending === current ? side.pendingFrames + 1 : 1;
+        side.pending = current;
+        if (side.pendingFrames < minFrames) continue;
+
+        // Only movement through the drawn segment counts, not past its ends
+        const crossed = segmentsIntersect(side.committedPoint, point, a, b);
+        side.committed = current;
+        side.committedPoint = point;
+        side.pending = 0;
+        side.pendingFrames = 0;
+        if (!crossed) continue;
+
+        const direction = current > 0 ? 'in' : 'out';
+        const counts = this.counts.get(line.id)[direction];
+        counts.set(detection.label, (counts.get(detection.label) || 0) + 1);
+        crossings.push({
+          line: { id: line.id, name: line.name },
+          direction,
+          trackId: detection.trackId,
+          label: detection.label,
+          time: timestamp
+        });
+      }
+    }
+
+    // Forget tracks that have gone
+    for (const [key, trajectory] of this.trajectories) {
+      if (timestamp - trajectory.lastSeen > trackTimeout || timestamp < trajectory.lastSeen) {
+        this.trajectories.delete(key);
+      }
+    }
+
+    return crossings;
+  }
+
+  /**
+   * Totals for a line
+   * @returns {Object} - { in, out, byClass: [{ label, in, out }] }
+   */
+  getTotals(lineId) {
+    const counts = this.counts.get(lineId) || emptyCounts();
+    const labels = new Set([...counts.in.keys(), ...counts.out.keys()]);
+    const byClass = Array.from(labels, label => ({
+      label,
+      in: counts.in.get(label) || 0,
+      out: counts.out.get(label) || 0
+    }));
+
+    return {
+      in: byClass.reduce((sum, entry) => sum + entry.in, 0),
+      out: byClass.reduce((sum, entry) => sum + entry.out, 0),
+      byClass
+    };
+  }
+
+  /**
+   * Recent centroids of each followed track, for drawing trails
+   * @returns {Object[][]} - Point lists in frame pixels
+   */
+  getTrails() {
+    return Array.from(this.trajectories.values(), trajectory => trajectory.points);
+  }
+}
+
+// Positive on the right of a→b in image coordinates (y pointing down)
+function signedDistance(point, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const length = Math.hypot(dx, dy) || 1;
+  return ((point.x - a.x) * dy - (point.y - a.y) * dx) / -length;
+}
+
+function segmentsIntersect(p1, p2, q1, q2) {
+  const d1 = cross(q1, q2, p1);
+  const d2 = cross(q1, q2, p2);
+  const d3 = cross(p1, p2, q1);
+  const d4 = cross(p1, p2, q2);
+  return d1 * d2 <= 0 && d3 * d4 <= 0;
+}
+
+function cross(a, b, c) {
+  return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+}
+
+function emptyCounts() {
+  return { in: new Map(), out: new Map() };
+}
+
+function isValidLine(line) {
+  const isPoint = point => point && Number.isFinite(point.x) && Number.isFinite(point.y);
+  return line && Number.isInteger(line.id) && typeof line.name === 'string' &&
+    isPoint(line.a) && isPoint(line.b) && Array.isArray(line.classes);
+}
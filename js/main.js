@@ -3,20 +3,111 @@ import { CameraManager } from './camera.js';
 import { ModelManager } from './models.js';
 import { InferenceEngine } from './inference.js';
 import { PostProcessor } from './postprocess.js';
+import { OverlayRenderer } from './overlayRenderer.js';
+import { ObjectTracker } from './tracker.js';
+import { TemporalSmoother } from './smoothing.js';
 import { DependencyLoader } from './dependencyLoader.js';
+import { InferenceWorkerClient } from './workerClient.js';
+import { EXECUTION_PROVIDERS, PROVIDER_LABELS } from './executionProviders.js';
+import { computeResizeTransform } from './resize.js';
+import { DetectionFilter } from './detectionFilter.js';
+import { ImageInput } from './imageInput.js';
+import { DetectionTimeline } from './detectionTimeline.js';
+import { BatchProcessor } from './batchProcessor.js';
+import { describeModel, createResults, serializeDetection } from './results.js';
+import { EXPORT_FORMATS, EXPORT_FORMAT_LABELS, exportResults } from './exporters.js';
+import { renderFrame, renderAnnotated, encodeCanvas, scaleCanvas } from './snapshot.js';
+import { SessionRecorder } from './sessionRecorder.js';
+import { RoomInventory } from './inventory.js';
+import { ZoneManager } from './zones.js';
+import { ZoneLayer } from './zoneLayer.js';
+import { LineCounter } from './lineCounter.js';
+import { AlertEngine, RULE_TYPES, describeRule, playChime } from './alerts.js';
+import { DetectionHistory } from './detectionHistory.js';
+
+// Minimum time between inventory and zone panel redraws during live detection
+const PANEL_RENDER_INTERVAL = 500;
+
+// Zone, line crossing and alert events kept in their panels
+const MAX_ZONE_EVENTS = 20;
+
+// Toast icons and how long each level stays up
+const TOAST_LEVELS = {
+  info: { icon: 'ℹ️', duration: 4000 },
+  warn: { icon: '🔔', duration: 6000 },
+  error: { icon: '⚠️', duration: 5000 }
+};
+
+// Longest side of history thumbnails in pixels
+const HISTORY_THUMBNAIL_SIZE = 320;
+
+// Failed worker detections in a row that restart the worker before inference moves to the main thread
+const MAX_WORKER_RESTARTS = 2;
+
+// Frame step used until the real frame rate is measured during playback
+const DEFAULT_FRAME_DURATION = 1 / 30;
 
 class ObjectDetectionApp {
   constructor() {
     this.dependencyLoader = new DependencyLoader();
     this.camera = new CameraManager();
+    this.imageInput = new ImageInput();
+    this.inputMode = 'camera'; // 'camera', 'image' or 'video' (local file)
+    this.cameraAvailable = false;
+    this.videoTimeline = new DetectionTimeline();
+    this.videoDetectionQueue = Promise.resolve(); // Serializes detections on the video file
+    this.frameDuration = DEFAULT_FRAME_DURATION; // Seconds per frame of the video file
+    this.lastFrameMetadata = null;
+    this.isVideoFramePending = false; // A playback detection is already scheduled
+    this.isSteppingForward = false;
+    this.batchProcessor = new BatchProcessor();
+    this.batchResults = null; // Combined results of the last batch, ready to download
+    this.captureSession = []; // Serialized frames from single captures since the last reset
+    this.sessionRecorder = new SessionRecorder();
+    this.recordingMeta = null; // { model, filter } when recording started
+    this.recordingTimer = null;
+    this.inventory = new RoomInventory();
+    this.isScanning = false;
+    this.inventoryRenderTime = 0;
+    this.zones = new ZoneManager();
+    this.zoneLayer = null;
+    this.zoneEvents = []; // Newest first
+    this.zoneRenderTime = 0;
+    this.lineCounter = new LineCounter();
+    this.lineEvents = []; // Newest first
+    this.lineRenderTime = 0;
+    this.alerts = new AlertEngine();
+    this.alertLog = []; // Newest first
+    this.editingRuleId = null; // Rule loaded into the alert form, if any
+    this.audioContext = null; // Created on a user gesture, for chimes
+    this.isSavingAlertSnapshot = false;
+    this.history = new DetectionHistory();
+    this.historySessionStart = null; // Promise of the session being recorded
+    this.isSavingHistoryFrame = false;
+    this.historyFrames = []; // Frames of the session open in the timeline, after the class filter
+    this.historySessionFrames = []; // All frames of that session
+    this.historyThumbnailUrl = null;
+    this.lastCapture = null; // { frame (ImageInput), detections, image, model, filter, modelType, frontCamera }
     this.modelManager = new ModelManager();
     this.inferenceEngine = new InferenceEngine();
     this.postProcessor = new PostProcessor();
+    this.overlayRenderer = new OverlayRenderer(this.inferenceEngine.conf2color.bind(this.inferenceEngine));
+    this.detectionFilter = new DetectionFilter();
+    this.tracker = new ObjectTracker();
+    this.smoother = new TemporalSmoother();
+    this.inferenceWorker = null; // Set when the worker pipeline is running
+    this.workerFailures = 0; // Failed worker detections in a row
+    this.workerRestart = null; // Promise of a worker restart in progress
+    this.executionProviderInfo = null; // { preference, active, available }
     
     this.isLiveDetection = false;
     this.animationId = null;
     this.inferenceTime = 0;
     this.totalTime = 0;
+    this.lastDetections = [];
+    this.renderedDetections = []; // What the overlay shows; smoothed when smoothing is on
+    this.lastClassifications = [];
+    this.classFilterLabels = null; // Label set the class filter list was built from
     
     // Debouncing states
     this.isChangingModel = false;
@@ -32,13 +123,108 @@ class ObjectDetectionApp {
       this.elements = {
         video: document.getElementById('webcam'),
         canvas: document.getElementById('detection-canvas'),
+        imageCanvas: document.getElementById('image-canvas'),
+        webcamContainer: document.querySelector('.webcam-container'),
+        openFileBtn: document.getElementById('open-file-btn'),
+        cameraModeBtn: document.getElementById('camera-mode-btn'),
+        mediaFileInput: document.getElementById('media-file-input'),
+        playbackControls: document.getElementById('playback-controls'),
+        playPauseBtn: document.getElementById('play-pause-btn'),
+        stepBackBtn: document.getElementById('step-back-btn'),
+        stepForwardBtn: document.getElementById('step-forward-btn'),
+        seekSlider: document.getElementById('seek-slider'),
+        playbackTime: document.getElementById('playback-time'),
+        batchFilesBtn: document.getElementById('batch-files-btn'),
+        batchFolderBtn: document.getElementById('batch-folder-btn'),
+        batchFileInput: document.getElementById('batch-file-input'),
+        batchFolderInput: document.getElementById('batch-folder-input'),
+        batchPanel: document.getElementById('batch-panel'),
+        batchProgress: document.getElementById('batch-progress'),
+        batchStatus: document.getElementById('batch-status'),
+        batchCancelBtn: document.getElementById('batch-cancel-btn'),
+        batchDownloadBtn: document.getElementById('batch-download-btn'),
+        exportScopeSelect: document.getElementById('export-scope-select'),
+        exportFormatSelect: document.getElementById('export-format-select'),
+        exportBtn: document.getElementById('export-btn'),
+        snapshotFormatSelect: document.getElementById('snapshot-format-select'),
+        snapshotRawCheckbox: document.getElementById('snapshot-raw-checkbox'),
+        snapshotSidecarCheckbox: document.getElementById('snapshot-sidecar-checkbox'),
+        snapshotMirrorCheckbox: document.getElementById('snapshot-mirror-checkbox'),
+        snapshotBtn: document.getElementById('snapshot-btn'),
         loading: document.getElementById('loading'),
         captureBtn: document.getElementById('capture-btn'),
         liveBtn: document.getElementById('live-btn'),
+        recordBtn: document.getElementById('record-btn'),
+        recordingStatus: document.getElementById('recording-status'),
+        recordingSidecarCheckbox: document.getElementById('recording-sidecar-checkbox'),
+        scanBtn: document.getElementById('scan-btn'),
+        inventoryClearBtn: document.getElementById('inventory-clear-btn'),
+        inventoryTotal: document.getElementById('inventory-total'),
+        inventoryCounts: document.getElementById('inventory-counts'),
+        inventoryList: document.getElementById('inventory-list'),
+        zoneCanvas: document.getElementById('zone-canvas'),
+        zoneEditBtn: document.getElementById('zone-edit-btn'),
+        zoneFinishBtn: document.getElementById('zone-finish-btn'),
+        zoneNameRow: document.getElementById('zone-name-row'),
+        zoneNameInput: document.getElementById('zone-name-input'),
+        zoneList: document.getElementById('zone-list'),
+        zoneEventList: document.getElementById('zone-events'),
+        lineDrawBtn: document.getElementById('line-draw-btn'),
+        lineResetBtn: document.getElementById('line-reset-btn'),
+        lineOptions: document.getElementById('line-options'),
+        lineNameInput: document.getElementById('line-name-input'),
+        lineClassSelect: document.getElementById('line-class-select'),
+        lineList: document.getElementById('line-list'),
+        lineEventList: document.getElementById('line-events'),
+        alertRuleList: document.getElementById('alert-rule-list'),
+        alertTypeSelect: document.getElementById('alert-type-select'),
+        alertClassSelect: document.getElementById('alert-class-select'),
+        alertZoneSelect: document.getElementById('alert-zone-select'),
+        alertThresholdInput: document.getElementById('alert-threshold-input'),
+        alertThresholdUnit: document.getElementById('alert-threshold-unit'),
+        alertCooldownInput: document.getElementById('alert-cooldown-input'),
+        alertActionCheckboxes: document.querySelectorAll('input[name="alert-action"]'),
+        alertSaveBtn: document.getElementById('alert-save-btn'),
+        alertCancelBtn: document.getElementById('alert-cancel-btn'),
+        alertLog: document.getElementById('alert-log'),
+        historyPanel: document.getElementById('history-panel'),
+        historyEnabledCheckbox: document.getElementById('history-enabled-checkbox'),
+        historyThumbnailsCheckbox: document.getElementById('history-thumbnails-checkbox'),
+        historyRetentionSelect: document.getElementById('history-retention-select'),
+        historySessionSelect: document.getElementById('history-session-select'),
+        historyClassSelect: document.getElementById('history-class-select'),
+        historyScrubber: document.getElementById('history-scrubber'),
+        historyTime: document.getElementById('history-time'),
+        historyThumbnail: document.getElementById('history-thumbnail'),
+        historyFrameInfo: document.getElementById('history-frame-info'),
+        historyDetections: document.getElementById('history-detections'),
+        historyExportBtn: document.getElementById('history-export-btn'),
+        historyDeleteBtn: document.getElementById('history-delete-btn'),
         switchCameraBtn: document.getElementById('switch-camera-btn'),
         changeModelBtn: document.getElementById('change-model-btn'),
         resetBtn: document.getElementById('reset-btn'),
+        resizeModeSelect: document.getElementById('resize-mode-select'),
+        executionProviderSelect: document.getElementById('execution-provider-select'),
+        confidenceSlider: document.getElementById('confidence-slider'),
+        confidenceValue: document.getElementById('confidence-value'),
+        keypointSetting: document.getElementById('keypoint-setting'),
+        keypointSlider: document.getElementById('keypoint-slider'),
+        keypointValue: document.getElementById('keypoint-value'),
+        smoothingCheckbox: document.getElementById('smoothing-checkbox'),
+        smoothingOptions: document.getElementById('smoothing-options'),
+        smoothingAlphaSlider: document.getElementById('smoothing-alpha-slider'),
+        smoothingAlphaValue: document.getElementById('smoothing-alpha-value'),
+        smoothingAppearSlider: document.getElementById('smoothing-appear-slider'),
+        smoothingAppearValue: document.getElementById('smoothing-appear-value'),
+        smoothingDisappearSlider: document.getElementById('smoothing-disappear-slider'),
+        smoothingDisappearValue: document.getElementById('smoothing-disappear-value'),
+        smoothingHoldInput: document.getElementById('smoothing-hold-input'),
+        classificationPanel: document.getElementById('classification-panel'),
+        classificationResults: document.getElementById('classification-results'),
+        classFilterMode: document.getElementById('class-filter-mode'),
+        classFilterList: document.getElementById('class-filter-list'),
         currentModel: document.getElementById('current-model'),
+        currentProvider: document.getElementById('current-provider'),
         modelInferenceTime: document.getElementById('model-inference-time'),
         totalTime: document.getElementById('total-time'),
         overheadTime: document.getElementById('overhead-time'),
@@ -52,16 +238,24 @@ class ObjectDetectionApp {
       this.elements.loading.textContent = 'Loading dependencies...';
       await this.dependencyLoader.loadOnnxRuntime();
       
-      // Initialize camera
+      // Initialize camera; without it the app still works on images
       this.elements.loading.textContent = 'Initializing camera...';
-      await this.camera.initialize(this.elements.video, this.elements.canvas);
+      await this.initializeCamera();
       
       // Load initial model
       this.elements.loading.textContent = 'Loading AI model...';
-      await this.modelManager.loadCurrentModel();
+      await this.modelManager.loadManifest();
+      await this.loadInitialModel();
+      this.applyModelThresholds();
       this.updateModelDisplay();
+      this.buildExecutionProviderOptions();
       
       // Set up event listeners
+      this.buildClassFilterList();
+      this.buildExportFormatOptions();
+      this.updateSmoothingDisplay();
+      this.initializeZones();
+      await this.initializeHistory();
       this.setupEventListeners();
       
       // Hide loading
@@ -75,6 +269,94 @@ class ObjectDetectionApp {
     }
   }
 
+  /**
+   * Start the camera, reporting failures instead of aborting start-up
+   * @returns {Promise<boolean>} - Whether the camera is available
+   */
+  async initializeCamera() {
+    try {
+      await this.camera.initialize(this.elements.video, this.elements.canvas);
+      this.cameraAvailable = true;
+    } catch (error) {
+      console.warn('⚠️ Camera unavailable:', error.message);
+      this.cameraAvailable = false;
+      this.showError(`${error.message} You can still open an image.`);
+    }
+    this.updateInputControls();
+    return this.cameraAvailable;
+  }
+
+  /**
+   * Load the first model in the inference worker, or on the main thread when
+   * workers or OffscreenCanvas are unavailable or the worker fails to start
+   */
+  async loadInitialModel() {
+    if (InferenceWorkerClient.isSupported()) {
+      const worker = new InferenceWorkerClient();
+      try {
+        const { modelIndex, executionProvider } = await worker.initialize(
+          this.modelManager.currentModelIndex,
+          this.modelManager.executionProvider
+        );
+        this.modelManager.currentModelIndex = modelIndex; // The worker may have fallen back to a smaller model
+        this.executionProviderInfo = executionProvider;
+        this.inferenceWorker = worker;
+        await this.modelManager.loadCurrentLabels(); // For the class list; the worker has its own copy
+        console.log('🧵 Inference running in a Web Worker');
+        return;
+      } catch (error) {
+        console.warn('⚠️ Inference worker unavailable, using main thread:', error.message);
+        worker.terminate();
+      }
+    }
+
+    await this.modelManager.loadCurrentModel();
+    this.executionProviderInfo = await this.modelManager.getExecutionProviderInfo();
+  }
+
+  /**
+   * Replace a worker whose detection failed or hung with a fresh one; after
+   * MAX_WORKER_RESTARTS failures in a row, give up and use the main thread
+   */
+  async restartInferenceWorker(error) {
+    this.workerFailures++;
+    if (this.workerFailures > MAX_WORKER_RESTARTS) {
+      await this.fallBackToMainThread(error);
+      return;
+    }
+
+    console.warn(`⚠️ Inference worker failed (${this.workerFailures}/${MAX_WORKER_RESTARTS}), restarting it:`, error.message);
+    this.inferenceWorker.terminate();
+    this.inferenceWorker = null;
+    const worker = new InferenceWorkerClient();
+    try {
+      const { executionProvider } = await worker.initialize(
+        this.modelManager.currentModelIndex,
+        this.modelManager.executionProvider
+      );
+      this.inferenceWorker = worker;
+      this.executionProviderInfo = executionProvider;
+      this.updateExecutionProviderDisplay();
+    } catch (restartError) {
+      worker.terminate();
+      await this.fallBackToMainThread(restartError);
+    }
+  }
+
+  /**
+   * Stop using the worker and load the current model on the main thread
+   */
+  async fallBackToMainThread(error) {
+    console.warn('⚠️ Inference worker failed, falling back to main thread:', error.message);
+    if (this.inferenceWorker) {
+      this.inferenceWorker.terminate();
+      this.inferenceWorker = null;
+    }
+    await this.modelManager.loadCurrentModel();
+    this.executionProviderInfo = await this.modelManager.getExecutionProviderInfo();
+    this.updateExecutionProviderDisplay();
+  }
+
   setupEventListeners() {
     // Capture photo button
     this.elements.captureBtn.addEventListener('click', () => {
@@ -86,6 +368,142 @@ class ObjectDetectionApp {
       this.toggleLiveDetection();
     });
 
+    // Record button (live detection only)
+    this.elements.recordBtn.hidden = !SessionRecorder.isSupported();
+    this.elements.recordBtn.addEventListener('click', async () => {
+      await this.toggleRecording();
+    });
+
+    // Zones: edit mode, closing a draft, deleting
+    this.elements.zoneEditBtn.addEventListener('click', () => {
+      this.setDrawingMode(this.isDrawing('zone') ? null : 'zone');
+    });
+
+    this.elements.zoneFinishBtn.addEventListener('click', () => {
+      if (!this.zoneLayer.closeDraft()) {
+        this.showError('Click at least three points on the view to draw a zone');
+      }
+    });
+
+    this.elements.zoneList.addEventListener('click', (event) => {
+      const zoneId = event.target.dataset.zoneId;
+      if (zoneId) {
+        this.zones.removeZone(Number(zoneId));
+        this.refreshZones();
+      }
+    });
+
+    // Counting lines: drawing, resetting totals, deleting
+    this.elements.lineDrawBtn.addEventListener('click', () => {
+      this.setDrawingMode(this.isDrawing('line') ? null : 'line');
+    });
+
+    this.elements.lineResetBtn.addEventListener('click', () => {
+      this.lineCounter.resetCounts();
+      this.lineEvents = [];
+      this.refreshLines();
+      console.log('📏 Line counts reset');
+    });
+
+    this.elements.lineList.addEventListener('click', (event) => {
+      const lineId = event.target.dataset.lineId;
+      if (lineId) {
+        this.lineCounter.removeLine(Number(lineId));
+        this.refreshLines();
+      }
+    });
+
+    // Alert rules: saving the form, editing, enabling and deleting rules
+    this.elements.alertTypeSelect.addEventListener('change', () => {
+      this.updateAlertThresholdUnit();
+    });
+
+    this.elements.alertSaveBtn.addEventListener('click', () => {
+      this.saveAlertRule();
+    });
+
+    this.elements.alertCancelBtn.addEventListener('click', () => {
+      this.editAlertRule(null);
+    });
+
+    this.elements.alertRuleList.addEventListener('click', (event) => {
+      const { editRuleId, deleteRuleId } = event.target.dataset;
+      if (editRuleId) {
+        this.editAlertRule(this.alerts.getRule(Number(editRuleId)));
+      } else if (deleteRuleId) {
+        this.alerts.removeRule(Number(deleteRuleId));
+        if (this.editingRuleId === Number(deleteRuleId)) {
+          this.editAlertRule(null);
+        }
+        this.renderAlertPanel();
+      }
+    });
+
+    this.elements.alertRuleList.addEventListener('change', (event) => {
+      const ruleId = event.target.dataset.enableRuleId;
+      if (ruleId) {
+        this.alerts.updateRule(Number(ruleId), { enabled: event.target.checked });
+      }
+    });
+
+    // Detection history: settings, choosing a session, scrubbing, export and delete
+    this.elements.historyEnabledCheckbox.addEventListener('change', async (event) => {
+      await this.updateHistorySettings({ enabled: event.target.checked });
+    });
+
+    this.elements.historyThumbnailsCheckbox.addEventListener('change', async (event) => {
+      await this.updateHistorySettings({ thumbnails: event.target.checked });
+    });
+
+    this.elements.historyRetentionSelect.addEventListener('change', async (event) => {
+      await this.updateHistorySettings({ retentionDays: Number(event.target.value) });
+    });
+
+    this.elements.historySessionSelect.addEventListener('change', async (event) => {
+      try {
+        await this.openHistorySession(Number(event.target.value) || null);
+      } catch (error) {
+        console.error('History session failed to open:', error);
+        this.showError('Failed to open session: ' + error.message);
+      }
+    });
+
+    this.elements.historyClassSelect.addEventListener('change', () => {
+      this.applyHistoryFilter();
+    });
+
+    this.elements.historyScrubber.addEventListener('input', (event) => {
+      this.showHistoryFrame(Number(event.target.value));
+    });
+
+    this.elements.historyExportBtn.addEventListener('click', async () => {
+      await this.exportHistorySession();
+    });
+
+    this.elements.historyDeleteBtn.addEventListener('click', async () => {
+      await this.deleteHistorySession();
+    });
+
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' && this.zoneLayer.isEditing) {
+        this.zoneLayer.cancelDraft();
+      }
+    });
+
+    // Room scan
+    this.elements.scanBtn.addEventListener('click', () => {
+      if (this.isScanning) {
+        this.stopScan();
+      } else {
+        this.startScan();
+      }
+    });
+
+    this.elements.inventoryClearBtn.addEventListener('click', () => {
+      this.inventory.clear();
+      this.renderInventory();
+    });
+
     // Switch camera button
     this.elements.switchCameraBtn.addEventListener('click', async () => {
       await this.switchCamera();
@@ -98,9 +516,198 @@ class ObjectDetectionApp {
 
     // Reset button
     this.elements.resetBtn.addEventListener('click', () => {
+      this.captureSession = []; // Reset starts a new capture session
       this.reset();
     });
 
+    // Image and video files: file picker, drag-and-drop onto the view, and paste
+    this.elements.openFileBtn.addEventListener('click', () => {
+      this.elements.mediaFileInput.click();
+    });
+
+    this.elements.mediaFileInput.addEventListener('change', async (event) => {
+      const file = findMediaFile(event.target.files);
+      event.target.value = ''; // Allow picking the same file again
+      if (file) {
+        await this.openFile(file);
+      }
+    });
+
+    this.elements.webcamContainer.addEventListener('dragover', (event) => {
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'copy';
+      this.elements.webcamContainer.classList.add('drag-over');
+    });
+
+    this.elements.webcamContainer.addEventListener('dragleave', () => {
+      this.elements.webcamContainer.classList.remove('drag-over');
+    });
+
+    this.elements.webcamContainer.addEventListener('drop', async (event) => {
+      event.preventDefault();
+      this.elements.webcamContainer.classList.remove('drag-over');
+      const file = findMediaFile(event.dataTransfer.files);
+      if (file) {
+        await this.openFile(file);
+      } else {
+        this.showError('Drop an image or video file to run detection on it');
+      }
+    });
+
+    document.addEventListener('paste', async (event) => {
+      const file = ImageInput.findImageFile(event.clipboardData?.files);
+      if (file) {
+        event.preventDefault();
+        await this.openImage(file);
+      }
+    });
+
+    // Batch processing of many images or a whole folder
+    this.elements.batchFilesBtn.addEventListener('click', () => {
+      this.elements.batchFileInput.click();
+    });
+
+    this.elements.batchFolderBtn.addEventListener('click', () => {
+      this.elements.batchFolderInput.click();
+    });
+
+    for (const input of [this.elements.batchFileInput, this.elements.batchFolderInput]) {
+      input.addEventListener('change', async (event) => {
+        const files = Array.from(event.target.files);
+        event.target.value = '';
+        await this.runBatch(files);
+      });
+    }
+
+    this.elements.batchCancelBtn.addEventListener('click', () => {
+      this.batchProcessor.cancel();
+      this.elements.batchCancelBtn.disabled = true;
+      this.elements.batchStatus.textContent = 'Cancelling...';
+    });
+
+    this.elements.batchDownloadBtn.addEventListener('click', () => {
+      this.downloadBatchResults();
+    });
+
+    // Snapshots of the last capture
+    this.elements.snapshotBtn.addEventListener('click', async () => {
+      await this.saveSnapshot();
+    });
+
+    // Exports
+    this.elements.exportBtn.addEventListener('click', () => {
+      this.exportDetections(this.elements.exportScopeSelect.value, this.elements.exportFormatSelect.value);
+    });
+
+    // Video file playback
+    const video = this.elements.video;
+    this.elements.playPauseBtn.addEventListener('click', () => {
+      if (video.paused || video.ended) {
+        video.play();
+      } else {
+        video.pause();
+      }
+    });
+
+    this.elements.stepBackBtn.addEventListener('click', () => this.stepVideo(-1));
+    this.elements.stepForwardBtn.addEventListener('click', () => this.stepVideo(1));
+
+    this.elements.seekSlider.addEventListener('input', (event) => {
+      video.currentTime = parseFloat(event.target.value);
+    });
+
+    video.addEventListener('play', () => {
+      if (this.inputMode !== 'video') return;
+      this.updatePlaybackDisplay();
+      this.scheduleVideoDetection();
+    });
+
+    video.addEventListener('seeking', () => {
+      // Identities can't be carried across a jump, only across a single step forward
+      if (this.inputMode === 'video' && !this.isSteppingForward) {
+        this.tracker.reset();
+        this.smoother.reset();
+      }
+    });
+
+    video.addEventListener('seeked', () => this.onVideoSeeked());
+
+    for (const type of ['pause', 'ended', 'timeupdate']) {
+      video.addEventListener(type, () => this.updatePlaybackDisplay());
+    }
+
+    this.elements.cameraModeBtn.addEventListener('click', async () => {
+      await this.useCamera();
+    });
+
+    // Frame fit (stretch / letterbox / center crop) for the current model
+    this.elements.resizeModeSelect.addEventListener('change', (event) => {
+      this.modelManager.setResizeMode(event.target.value);
+    });
+
+    // Execution provider override (Auto picks the fastest working one)
+    this.elements.executionProviderSelect.addEventListener('change', async (event) => {
+      await this.changeExecutionProvider(event.target.value);
+    });
+
+    // Global confidence threshold
+    this.elements.confidenceSlider.addEventListener('input', (event) => {
+      this.detectionFilter.setConfidenceThreshold(parseFloat(event.target.value));
+      this.updateConfidenceDisplay();
+    });
+
+    // Pose keypoint threshold
+    this.elements.keypointSlider.addEventListener('input', (event) => {
+      this.detectionFilter.setKeypointThreshold(parseFloat(event.target.value));
+      this.elements.keypointValue.textContent = `${Math.round(this.detectionFilter.keypointThreshold * 100)}%`;
+    });
+
+    // Temporal smoothing of live boxes
+    this.elements.smoothingCheckbox.addEventListener('change', (event) => {
+      this.smoother.setEnabled(event.target.checked);
+      this.updateSmoothingDisplay();
+    });
+
+    this.elements.smoothingAlphaSlider.addEventListener('input', (event) => {
+      this.smoother.setAlpha(event.target.value);
+      this.updateSmoothingDisplay();
+    });
+
+    this.elements.smoothingAppearSlider.addEventListener('input', (event) => {
+      this.smoother.setAppearThreshold(event.target.value);
+      this.updateSmoothingDisplay();
+    });
+
+    this.elements.smoothingDisappearSlider.addEventListener('input', (event) => {
+      this.smoother.setDisappearThreshold(event.target.value);
+      this.updateSmoothingDisplay();
+    });
+
+    this.elements.smoothingHoldInput.addEventListener('change', (event) => {
+      this.smoother.setHoldFrames(event.target.value);
+      this.updateSmoothingDisplay();
+    });
+
+    // Class allow/deny mode
+    this.elements.classFilterMode.addEventListener('change', (event) => {
+      this.detectionFilter.setMode(event.target.value);
+    });
+
+    // Class checkboxes and per-class thresholds (delegated)
+    this.elements.classFilterList.addEventListener('change', (event) => {
+      const classId = parseInt(event.target.dataset.classId, 10);
+      if (Number.isNaN(classId)) return;
+
+      if (event.target.type === 'checkbox') {
+        this.detectionFilter.setClassListed(classId, event.target.checked);
+      } else if (event.target.value === '') {
+        this.detectionFilter.setClassThreshold(classId, null);
+      } else {
+        this.detectionFilter.setClassThreshold(classId, parseFloat(event.target.value));
+        event.target.value = this.detectionFilter.getThreshold(classId);
+      }
+    });
+
     // Handle window visibility change (pause when tab is hidden)
     document.addEventListener('visibilitychange', () => {
       if (document.hidden && this.isLiveDetection) {
@@ -110,64 +717,273 @@ class ObjectDetectionApp {
   }
 
   async capturePhoto() {
-    if (!this.camera.isReady() || this.isCapturing) return;
+    if (!this.getFrameSource().isReady() || this.isCapturing) return;
 
     try {
       this.isCapturing = true;
       this.elements.captureBtn.disabled = true;
       this.elements.captureBtn.textContent = 'Processing...';
       
-      const startTime = Date.now();
-      await this.runSingleDetection();
-      this.totalTime = Date.now() - startTime;
-      this.updatePerformanceMetrics();
+      // Detect on a copy of the frame so the snapshot shows exactly what was detected
+      const frame = await this.grabFrame();
+      let detections;
+      try {
+        if (this.inputMode === 'video') {
+          detections = await this.detectVideoFrame(frame);
+        } else {
+          const startTime = Date.now();
+          detections = await this.runSingleDetection({ source: frame });
+          this.totalTime = Date.now() - startTime;
+          this.updatePerformanceMetrics();
+        }
+      } catch (error) {
+        frame.clear();
+        throw error;
+      }
+      this.setLastCapture(frame, detections);
+      this.captureSession.push(this.lastCapture.image);
     } catch (error) {
       console.error('Capture failed:', error);
       this.showError('Capture failed: ' + error.message);
     } finally {
       this.isCapturing = false;
-      this.elements.captureBtn.disabled = false;
-      this.elements.captureBtn.textContent = 'Capture Photo';
+      this.updateInputControls();
     }
   }
 
-  async runSingleDetection() {
+  /**
+   * Run one detection pass on the current camera frame, image or video frame
+   * @param {Object} options - track (defaults to live mode), timestamp for the tracker in ms,
+   *   source to detect on instead of the live frame source (e.g. a grabbed frame)
+   * @returns {Promise<Object[]>} - Structured detections (see PostProcessor.postprocess)
+   */
+  async runSingleDetection(options = {}) {
     const config = this.modelManager.getCurrentModelConfig();
+    // Images are annotated at their native resolution
+    const displayDimensions = this.inputMode === 'image'
+      ? this.imageInput.getFrameDimensions()
+      : this.camera.getDisplayDimensions();
+    
+    const source = options.source || this.getFrameSource();
+    // Scans crop from the frame that was detected on: a grabbed copy, or the bitmap the worker hands back
+    const scanning = this.isScanning && this.inputMode === 'camera';
+    const keepFrame = scanning && !source.bitmap;
+    const result = await this.detectFrame(source, config, displayDimensions, keepFrame);
+    if (!result) return [];
+    
+    this.inferenceTime = result.inferenceTime;
+    let detections = result.detections;
+
+    // Give detections persistent identities across live frames
+    const timestamp = options.timestamp ?? performance.now();
+    const tracked = options.track ?? this.isLiveDetection;
+    if (tracked) {
+      detections = this.tracker.update(detections, timestamp);
+    }
+    
+    // Zones cover the camera view and video files, not still images
+    if (this.inputMode !== 'image' && this.zones.zones.length > 0) {
+      this.updateZones(detections, timestamp);
+    }
+    // Crossings need trajectories, so only tracked frames count
+    if (tracked && this.inputMode !== 'image' && this.lineCounter.lines.length > 0) {
+      this.updateLines(detections, timestamp);
+    }
+    // Alerts follow the same clock, so they also only run on tracked frames
+    if (tracked && this.inputMode !== 'image' && this.alerts.rules.length > 0) {
+      this.updateAlerts(detections, timestamp, source);
+    }
+    if (tracked && scanning) {
+      this.updateInventory(detections, timestamp, result.frame || source.bitmap || null);
+    }
+    result.frame?.close();
+    this.lastDetections = detections;
+    this.lastClassifications = result.classifications || [];
+
+    // Smoothing only steadies what is drawn, and needs identities, so it only runs on tracked frames
+    this.renderedDetections = tracked && this.smoother.enabled
+      ? this.smoother.update(detections, timestamp)
+      : detections;
+
+    // Draw results (classifiers leave the overlay empty and fill the results panel)
+    this.renderDetections(this.renderedDetections, config);
+    if (config.modelType === 'classify') {
+      this.renderClassifications(this.lastClassifications);
+    }
+
+    return detections;
+  }
+
+  /**
+   * Detect on a frame source in the worker, or on the main thread without one
+   * @param {Object} source - CameraManager or ImageInput
+   * @param {boolean} keepFrame - Also return the detected frame as result.frame (an ImageBitmap the caller closes)
+   * @returns {Promise<Object|null>} - { detections, classifications, inferenceTime, transform, frame? }
+   */
+  async detectFrame(source, config, displayDimensions, keepFrame = false) {
+    // Neither the worker nor the main thread has a model while the worker restarts
+    if (this.workerRestart) {
+      await this.workerRestart;
+    }
+
+    let result;
+    if (this.inferenceWorker) {
+      try {
+        result = await this.detectInWorker(source, config, displayDimensions, keepFrame);
+        this.workerFailures = 0;
+      } catch (error) {
+        // Frames failing together share one restart
+        this.workerRestart ??= this.restartInferenceWorker(error).finally(() => {
+          this.workerRestart = null;
+        });
+        await this.workerRestart;
+        result = this.inferenceWorker
+          ? await this.detectInWorker(source, config, displayDimensions, keepFrame)
+          : await this.detectKeepingFrame(source, config, displayDimensions, keepFrame);
+      }
+    } else {
+      result = await this.detectKeepingFrame(source, config, displayDimensions, keepFrame);
+    }
+    
+    // The worker may have switched providers after a run-time failure
+    if (result?.executionProvider && this.executionProviderInfo &&
+        result.executionProvider !== this.executionProviderInfo.active) {
+      this.executionProviderInfo.active = result.executionProvider;
+      this.updateExecutionProviderDisplay();
+    }
+    
+    return result;
+  }
+
+  /**
+   * Draw detections over the camera view, or onto the image at native resolution
+   */
+  renderDetections(detections, config = this.modelManager.getCurrentModelConfig()) {
+    if (this.inputMode === 'image') {
+      const ctx = this.elements.imageCanvas.getContext('2d');
+      this.overlayRenderer.render(ctx, detections, {
+        modelType: config.modelType,
+        background: this.imageInput.bitmap
+      });
+      return;
+    }
+
+    const overlayCtx = this.camera.captureFrame(); // Get overlay canvas context
+    if (overlayCtx) {
+      this.overlayRenderer.render(overlayCtx, detections, { modelType: config.modelType });
+    }
+  }
+
+  // The camera or the loaded image, whichever is being detected on
+  getFrameSource() {
+    return this.inputMode === 'image' ? this.imageInput : this.camera;
+  }
+
+  /**
+   * Preprocess, infer and decode the source's current frame on the main thread
+   * @returns {Promise<Object|null>} - { detections, inferenceTime, transform }
+   */
+  async detectOnMainThread(source, config, displayDimensions) {
+    const frameDimensions = source.getFrameDimensions();
+    
+    // Work out how the frame is fitted into the model input
+    const transform = computeResizeTransform(
+      frameDimensions.width,
+      frameDimensions.height,
+      config.resolution,
+      config.resizeMode
+    );
     
     // Create processing canvas
-    const processingCtx = this.camera.createProcessingCanvas(
+    const processingCtx = source.createProcessingCanvas(
       config.resolution[0], 
-      config.resolution[1]
+      config.resolution[1],
+      transform
     );
     
-    if (!processingCtx) return;
+    if (!processingCtx) return null;
 
     // Preprocess image
     const preprocessedData = this.inferenceEngine.preprocess(
       processingCtx, 
-      config.resolution
+      config.resolution,
+      null,
+      config.normalization
     );
 
     // Run inference
-    const [outputTensor, inferenceTime] = await this.modelManager.runInference(preprocessedData);
-    this.inferenceTime = inferenceTime;
+    const [outputs, inferenceTime] = await this.modelManager.runInference(preprocessedData);
 
-    // Postprocess and draw results
-    const overlayCtx = this.camera.captureFrame(); // Get overlay canvas context
-    if (overlayCtx) {
-      // Get display dimensions for proper coordinate scaling
-      const displayDimensions = this.camera.getDisplayDimensions();
-      
-      this.postProcessor.postprocess(
-        outputTensor,
-        inferenceTime,
-        overlayCtx,
+    // Classifiers produce one label list for the whole frame instead of boxes
+    let detections = [];
+    let classifications = null;
+    if (config.modelType === 'classify') {
+      classifications = this.postProcessor.classify(outputs, {
+        topK: config.topK,
+        softmax: config.softmax,
+        labels: this.modelManager.currentLabels,
+        filter: this.detectionFilter
+      });
+    } else {
+      // Decode detections in model, frame and display space
+      detections = this.postProcessor.postprocess(
+        outputs,
         config.resolution,
         config.name,
-        this.inferenceEngine.conf2color.bind(this.inferenceEngine),
-        displayDimensions
+        displayDimensions,
+        {
+          transform,
+          outputFormat: config.outputFormat,
+          nms: config.nms,
+          keypointCount: config.keypoints,
+          filter: this.detectionFilter,
+          labels: this.modelManager.currentLabels
+        }
       );
     }
+
+    return {
+      detections,
+      classifications,
+      inferenceTime,
+      transform,
+      executionProvider: this.modelManager.activeProvider
+    };
+  }
+
+  /**
+   * Hand the source's current frame to the inference worker
+   * @returns {Promise<Object|null>} - { detections, inferenceTime, transform }
+   */
+  async detectInWorker(source, config, displayDimensions, keepFrame = false) {
+    if (!source.isReady()) return null;
+
+    // The worker hands the same bitmap back when the frame is kept, so nothing is copied twice
+    const bitmap = await source.createFrameBitmap();
+    return this.inferenceWorker.detect(bitmap, config, this.detectionFilter, displayDimensions, keepFrame);
+  }
+
+  /**
+   * Detect on the main thread; a kept frame is copied first and detected on, as the
+   * camera moves on while inference runs
+   */
+  async detectKeepingFrame(source, config, displayDimensions, keepFrame) {
+    if (!keepFrame || !source.isReady()) {
+      return this.detectOnMainThread(source, config, displayDimensions);
+    }
+
+    const frame = new ImageInput();
+    frame.setBitmap(await source.createFrameBitmap(), this.currentFrameName());
+    try {
+      const result = await this.detectOnMainThread(frame, config, displayDimensions);
+      if (result) {
+        result.frame = frame.bitmap;
+        frame.bitmap = null; // Now owned by the caller
+      }
+      return result;
+    } finally {
+      frame.clear();
+    }
   }
 
   toggleLiveDetection() {
@@ -179,11 +995,20 @@ class ObjectDetectionApp {
   }
 
   startLiveDetection() {
-    if (!this.camera.isReady() || this.isLiveDetection) return;
+    if (this.inputMode !== 'camera' || !this.camera.isReady() || this.isLiveDetection) return;
 
     this.isLiveDetection = true;
+    this.tracker.reset();
+    this.smoother.reset();
     this.elements.liveBtn.textContent = 'Stop Live Detection';
     this.elements.liveBtn.classList.add('active');
+    this.elements.recordBtn.disabled = false;
+    
+    if (this.history.isOpen && this.history.settings.enabled) {
+      this.historySessionStart = this.history.startSession(this.inputMode).catch((error) => {
+        this.handleHistoryError(error);
+      });
+    }
     
     this.runLiveDetectionLoop();
   }
@@ -192,6 +1017,22 @@ class ObjectDetectionApp {
     this.isLiveDetection = false;
     this.elements.liveBtn.textContent = 'Live Detection';
     this.elements.liveBtn.classList.remove('active');
+    this.elements.recordBtn.disabled = true;
+    
+    // A recording covers one live session
+    if (this.sessionRecorder.isRecording) {
+      this.stopRecording();
+    }
+    if (this.isScanning) {
+      this.stopScan();
+    }
+    if (this.historySessionStart) {
+      this.historySessionStart
+        .then(() => this.history.endSession())
+        .then(() => this.refreshHistorySessions())
+        .catch((error) => this.handleHistoryError(error));
+      this.historySessionStart = null;
+    }
     
     if (this.animationId) {
       cancelAnimationFrame(this.animationId);
@@ -202,13 +1043,24 @@ class ObjectDetectionApp {
   async runLiveDetectionLoop() {
     if (!this.isLiveDetection) return;
 
+    let frame = null;
     try {
       const startTime = Date.now();
-      await this.runSingleDetection();
+      const timestamp = performance.now();
+      // The camera moves on while detection runs, so crops come from a copy of the detected frame
+      // (scans get theirs from runSingleDetection)
+      frame = this.needsFrameCopy(timestamp) ? await this.grabFrame() : null;
+      const detections = await this.runSingleDetection({ timestamp, source: frame });
       this.totalTime = Date.now() - startTime;
       this.updatePerformanceMetrics();
+      this.sessionRecorder.addDetections(detections);
+      if (this.history.shouldSample(timestamp) && !this.isSavingHistoryFrame) {
+        this.saveHistoryFrame(detections, timestamp, frame || this.camera);
+      }
     } catch (error) {
       console.error('Live detection error:', error);
+    } finally {
+      frame?.clear();
     }
 
     // Continue loop
@@ -219,53 +1071,1419 @@ class ObjectDetectionApp {
     }
   }
 
-  async switchCamera() {
-    if (this.isSwitchingCamera) return;
+  async initializeHistory() {
+    if (!DetectionHistory.isSupported()) {
+      this.elements.historyPanel.hidden = true;
+      return;
+    }
+
+    const settings = this.history.loadSettings();
+    this.elements.historyEnabledCheckbox.checked = settings.enabled;
+    this.elements.historyThumbnailsCheckbox.checked = settings.thumbnails;
+    this.elements.historyRetentionSelect.value = String(settings.retentionDays);
 
     try {
-      this.isSwitchingCamera = true;
-      this.elements.switchCameraBtn.disabled = true;
-      this.elements.switchCameraBtn.textContent = 'Switching...';
-      
-      this.reset();
-      await this.camera.switchCamera();
+      await this.history.open();
+      await this.refreshHistorySessions();
     } catch (error) {
-      console.error('Failed to switch camera:', error);
-      this.showError('Failed to switch camera: ' + error.message);
-    } finally {
-      this.isSwitchingCamera = false;
-      this.elements.switchCameraBtn.disabled = false;
-      this.elements.switchCameraBtn.textContent = 'Switch Camera';
+      console.warn('⚠️ Detection history unavailable:', error.message);
+      this.elements.historyPanel.hidden = true;
     }
   }
 
-  async changeModel() {
-    if (this.isChangingModel) return;
+  /**
+   * Store a sampled live frame; runs alongside the detection loop rather than holding it up
+   * @param {Object} source - The frame source the detections came from, for the thumbnail
+   */
+  async saveHistoryFrame(detections, timestamp, source) {
+    this.isSavingHistoryFrame = true;
+    // Copy the frame before anything is awaited; a grabbed source is freed once the detection pass ends
+    const frameCopy = this.history.settings.thumbnails ? source.createFrameBitmap() : null;
+    const config = this.modelManager.getCurrentModelConfig();
+    const { width, height } = source.getFrameDimensions();
 
     try {
-      this.isChangingModel = true;
-      this.elements.changeModelBtn.disabled = true;
-      this.elements.changeModelBtn.textContent = 'Loading...';
-      
-      this.reset();
-      this.elements.currentModel.textContent = 'Loading...';
-      
-      await this.modelManager.switchToNextModel();
-      this.updateModelDisplay();
+      let thumbnail = null;
+      if (frameCopy) {
+        const bitmap = await frameCopy;
+        const annotated = renderAnnotated(renderFrame(bitmap), detections, this.overlayRenderer, {
+          modelType: config.modelType
+        });
+        bitmap.close();
+        thumbnail = await encodeCanvas(scaleCanvas(annotated, HISTORY_THUMBNAIL_SIZE), 'jpeg');
+      }
+
+      await this.history.addFrame({
+        time: Date.now(),
+        model: config.name,
+        width,
+        height,
+        detections: detections.map(serializeDetection),
+        thumbnail
+      }, timestamp);
     } catch (error) {
-      console.error('Failed to change model:', error);
-      this.showError('Failed to change model: ' + error.message);
-      this.updateModelDisplay(); // Restore previous model name
+      this.handleHistoryError(error);
     } finally {
-      this.isChangingModel = false;
-      this.elements.changeModelBtn.disabled = false;
+      this.isSavingHistoryFrame = false;
+    }
+  }
+
+  // Storage failures (e.g. a full quota) stop history for this session rather than live detection
+  handleHistoryError(error) {
+    console.error('History error:', error);
+    if (this.history.session) {
+      this.showError('Detection history stopped: ' + error.message);
+      // Mark the stored session ended; with storage failing this may not get through either
+      this.history.endSession().catch((endError) => {
+        console.warn('⚠️ Could not close history session:', endError.message);
+      });
+    }
+  }
+
+  // Save history settings; a shorter retention may delete sessions, so the list is rebuilt then
+  async updateHistorySettings(changes) {
+    try {
+      await this.history.updateSettings(changes);
+      if (changes.retentionDays !== undefined) {
+        await this.refreshHistorySessions();
+      }
+    } catch (error) {
+      console.error('History settings failed:', error);
+      this.showError('Failed to apply history settings: ' + error.message);
+    }
+  }
+
+  /**
+   * Rebuild the session list, keeping the open session selected if it still exists
+   */
+  async refreshHistorySessions() {
+    const select = this.elements.historySessionSelect;
+    const sessions = await this.history.listSessions();
+    const selected = select.value;
+    select.innerHTML = '';
+
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = sessions.length > 0 ? 'Choose a session' : 'No sessions yet';
+    select.appendChild(none);
+    for (const session of sessions) {
+      const option = document.createElement('option');
+      option.value = session.id;
+      const started = new Date(session.startedAt).toLocaleString();
+      option.textContent = `${started} · ${session.models.join(', ') || 'no frames'} · ${session.frameCount} frames`;
+      select.appendChild(option);
+    }
+
+    const stillThere = sessions.some(session => String(session.id) === selected);
+    select.value = stillThere ? selected : '';
+    await this.openHistorySession(stillThere ? Number(selected) : null);
+  }
+
+  async openHistorySession(sessionId) {
+    const { historyClassSelect, historyExportBtn, historyDeleteBtn } = this.elements;
+    const session = sessionId ? await this.history.getSession(sessionId) : null;
+    this.historySessionFrames = session ? await this.history.getFrames(sessionId) : [];
+
+    const selectedClass = historyClassSelect.value;
+    historyClassSelect.innerHTML = '';
+    const all = document.createElement('option');
+    all.value = '';
+    all.textContent = 'All classes';
+    historyClassSelect.appendChild(all);
+    const labels = session ? Object.keys(session.classCounts).sort() : [];
+    for (const label of labels) {
+      const option = document.createElement('option');
+      option.value = label;
+      option.textContent = `${label} (${session.classCounts[label]})`;
+      historyClassSelect.appendChild(option);
+    }
+    historyClassSelect.value = labels.includes(selectedClass) ? selectedClass : '';
+
+    historyExportBtn.disabled = !session;
+    historyDeleteBtn.disabled = !session;
+    this.applyHistoryFilter();
+  }
+
+  // Keep the frames that contain the chosen class and show the first of them
+  applyHistoryFilter() {
+    const label = this.elements.historyClassSelect.value;
+    this.historyFrames = label
+      ? this.historySessionFrames.filter(frame => frame.labels.includes(label))
+      : this.historySessionFrames;
+
+    const scrubber = this.elements.historyScrubber;
+    scrubber.max = Math.max(0, this.historyFrames.length - 1);
+    scrubber.value = 0;
+    scrubber.disabled = this.historyFrames.length === 0;
+    this.showHistoryFrame(0);
+  }
+
+  showHistoryFrame(index) {
+    const { historyTime, historyThumbnail, historyFrameInfo, historyDetections } = this.elements;
+    const frame = this.historyFrames[index];
+    const sessionStart = this.historySessionFrames[0]?.time ?? 0;
+
+    if (this.historyThumbnailUrl) {
+      URL.revokeObjectURL(this.historyThumbnailUrl);
+      this.historyThumbnailUrl = null;
+    }
+    historyThumbnail.hidden = !frame?.thumbnail;
+    if (frame?.thumbnail) {
+      this.historyThumbnailUrl = URL.createObjectURL(frame.thumbnail);
+      historyThumbnail.src = this.historyThumbnailUrl;
+    } else {
+      historyThumbnail.removeAttribute('src');
+    }
+
+    historyDetections.innerHTML = '';
+    if (!frame) {
+      historyTime.textContent = '';
+      historyFrameInfo.textContent = this.historySessionFrames.length > 0 ? 'No frames with this class' : '';
+      return;
+    }
+
+    historyTime.textContent = `${index + 1}/${this.historyFrames.length} · +${formatMediaTime((frame.time - sessionStart) / 1000)}`;
+    historyFrameInfo.textContent = `${new Date(frame.time).toLocaleTimeString()} · ${frame.model} · ` +
+      `${frame.detections.length} detection${frame.detections.length === 1 ? '' : 's'}`;
+    for (const detection of frame.detections) {
+      const item = document.createElement('li');
+      const track = detection.trackId !== undefined ? ` #${detection.trackId}` : '';
+      item.textContent = `${detection.label}${track} ${(detection.score * 100).toFixed(0)}%`;
+      historyDetections.appendChild(item);
+    }
+  }
+
+  async exportHistorySession() {
+    const sessionId = Number(this.elements.historySessionSelect.value);
+    if (!sessionId) return;
+
+    try {
+      const session = await this.history.getSession(sessionId);
+      const { content, type, extension } = await this.history.exportSession(sessionId);
+      downloadFile(content, `history-${fileTimestamp(new Date(session.startedAt).toISOString())}.${extension}`, type);
+      console.log(`📤 Exported history session ${sessionId}`);
+    } catch (error) {
+      console.error('History export failed:', error);
+      this.showError('History export failed: ' + error.message);
+    }
+  }
+
+  async deleteHistorySession() {
+    const sessionId = Number(this.elements.historySessionSelect.value);
+    if (!sessionId || !window.confirm('Delete this session and all its frames?')) return;
+
+    try {
+      await this.history.deleteSession(sessionId);
+      await this.refreshHistorySessions();
+      console.log(`🗑️ Deleted history session ${sessionId}`);
+    } catch (error) {
+      console.error('History delete failed:', error);
+      this.showError('Failed to delete session: ' + error.message);
+    }
+  }
+
+  initializeZones() {
+    this.zones.load();
+    this.lineCounter.load();
+    this.zoneLayer = new ZoneLayer(this.elements.zoneCanvas, (points, mode) => {
+      if (mode === 'line') {
+        this.addLine(points);
+      } else {
+        this.addZone(points);
+      }
+    });
+    this.alerts.load();
+    this.refreshZones();
+    this.refreshLines();
+    this.updateAlertThresholdUnit();
+    
+    // The camera resizes the overlay with the video; follow it even when nothing is detecting
+    if (window.ResizeObserver) {
+      new ResizeObserver(() => this.syncZoneLayerSize()).observe(this.elements.canvas);
+    }
+  }
+
+  isDrawing(mode) {
+    return this.zoneLayer.isEditing && this.zoneLayer.mode === mode;
+  }
+
+  /**
+   * Draw zones or counting lines on the view, or stop drawing
+   * @param {string|null} mode - 'zone', 'line' or null
+   */
+  setDrawingMode(mode) {
+    const zoneEditing = mode === 'zone';
+    const lineDrawing = mode === 'line';
+    const { zoneEditBtn, zoneFinishBtn, zoneNameRow, lineDrawBtn, lineOptions } = this.elements;
+
+    this.zoneLayer.setEditing(!!mode, mode || 'zone');
+    this.syncZoneLayerSize();
+    zoneEditBtn.textContent = zoneEditing ? 'Done Editing' : 'Edit Zones';
+    zoneEditBtn.classList.toggle('active', zoneEditing);
+    zoneFinishBtn.disabled = !zoneEditing;
+    zoneNameRow.hidden = !zoneEditing;
+    lineDrawBtn.textContent = lineDrawing ? 'Done Drawing' : 'Draw Line';
+    lineDrawBtn.classList.toggle('active', lineDrawing);
+    lineOptions.hidden = !lineDrawing;
+    this.renderZonePanel();
+  }
+
+  addZone(points) {
+    const zone = this.zones.addZone(this.elements.zoneNameInput.value, points);
+    this.elements.zoneNameInput.value = '';
+    this.refreshZones();
+    return zone;
+  }
+
+  // Keep the zone layer the same size as the detection overlay it sits on
+  syncZoneLayerSize() {
+    const { canvas } = this.elements;
+    this.zoneLayer.resize(canvas.width, canvas.height);
+  }
+
+  // Redraw zones and the panel after zones were added or removed
+  refreshZones() {
+    this.syncZoneLayerSize();
+    this.zoneLayer.update(this.zones.zones, this.getZoneStats());
+    this.renderZonePanel();
+    this.buildAlertZoneOptions();
+    this.renderAlertPanel(); // Rules name their zones
+  }
+
+  getZoneStats() {
+    return new Map(this.zones.zones.map(zone => [zone.id, this.zones.getStats(zone.id)]));
+  }
+
+  updateZones(detections, timestamp) {
+    const events = this.zones.update(detections, this.getFrameSource().getFrameDimensions(), timestamp);
+    for (const event of events) {
+      this.recordZoneEvent(event);
+    }
+
+    this.syncZoneLayerSize();
+    this.zoneLayer.update(this.zones.zones, this.getZoneStats());
+    if (events.length > 0 || performance.now() - this.zoneRenderTime > PANEL_RENDER_INTERVAL) {
+      this.renderZonePanel();
+    }
+  }
+
+  addLine(points) {
+    const { lineNameInput, lineClassSelect } = this.elements;
+    const classes = Array.from(lineClassSelect.selectedOptions, option => option.value);
+    const line = this.lineCounter.addLine(lineNameInput.value, points, classes);
+    lineNameInput.value = '';
+    this.refreshLines();
+    return line;
+  }
+
+  // Redraw lines and the panel after lines were added, removed or reset
+  refreshLines() {
+    this.syncZoneLayerSize();
+    this.zoneLayer.updateLines(this.lineCounter.lines, this.getLineTotals(), this.lineCounter.getTrails());
+    this.renderLinePanel();
+  }
+
+  getLineTotals() {
+    return new Map(this.lineCounter.lines.map(line => [line.id, this.lineCounter.getTotals(line.id)]));
+  }
+
+  updateLines(detections, timestamp) {
+    const frameDimensions = this.getFrameSource().getFrameDimensions();
+    const crossings = this.lineCounter.update(detections, frameDimensions, timestamp, this.modelManager.currentLabels);
+    for (const crossing of crossings) {
+      this.recordLineCrossing(crossing);
+    }
+
+    this.syncZoneLayerSize();
+    this.zoneLayer.updateLines(this.lineCounter.lines, this.getLineTotals(), this.lineCounter.getTrails(), frameDimensions);
+    if (crossings.length > 0 || performance.now() - this.lineRenderTime > PANEL_RENDER_INTERVAL) {
+      this.renderLinePanel();
+    }
+  }
+
+  recordLineCrossing(crossing) {
+    const text = `${crossing.label} #${crossing.trackId} crossed ${crossing.line.name} (${crossing.direction})`;
+    console.log(`📏 ${text}`);
+
+    this.lineEvents.unshift({ ...crossing, text, clockTime: new Date() });
+    this.lineEvents.length = Math.min(this.lineEvents.length, MAX_ZONE_EVENTS);
+  }
+
+  renderLinePanel() {
+    this.lineRenderTime = performance.now();
+    const { lineList, lineEventList } = this.elements;
+
+    lineList.innerHTML = '';
+    for (const line of this.lineCounter.lines) {
+      const totals = this.lineCounter.getTotals(line.id);
+      const item = document.createElement('li');
+      item.className = 'zone-item';
+
+      const swatch = document.createElement('span');
+      swatch.className = 'zone-swatch';
+      swatch.style.backgroundColor = line.color;
+
+      const name = document.createElement('span');
+      name.textContent = `${line.name}: in ${totals.in} · out ${totals.out}`;
+
+      const remove = document.createElement('button');
+      remove.className = 'zone-delete';
+      remove.textContent = 'Delete';
+      remove.dataset.lineId = line.id;
+      remove.setAttribute('aria-label', `Delete line ${line.name}`);
+
+      const details = document.createElement('span');
+      details.className = 'zone-details';
+      const classText = line.classes.length > 0 ? line.classes.join(', ') : 'All classes';
+      const countText = totals.byClass
+        .map(entry => `${entry.label} ${entry.in}/${entry.out}`)
+        .join(', ');
+      details.textContent = countText ? `${classText} · ${countText}` : classText;
+
+      item.append(swatch, name, remove, details);
+      lineList.appendChild(item);
+    }
+
+    lineEventList.innerHTML = '';
+    for (const event of this.lineEvents) {
+      const item = document.createElement('li');
+      item.textContent = `${event.clockTime.toLocaleTimeString()} ${event.text}`;
+      lineEventList.appendChild(item);
+    }
+  }
+
+  /**
+   * Class choices for new lines and alert rules; both store class names,
+   * which survive model changes where class ids don't
+   */
+  buildClassNameOptions() {
+    const { lineClassSelect, alertClassSelect } = this.elements;
+    const selectedAlertClass = alertClassSelect.value || 'person';
+
+    for (const select of [lineClassSelect, alertClassSelect]) {
+      select.innerHTML = '';
+      for (const { name, displayName } of this.modelManager.currentLabels.entries) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = displayName;
+        select.appendChild(option);
+      }
+    }
+
+    if (Array.from(alertClassSelect.options).some(option => option.value === selectedAlertClass)) {
+      alertClassSelect.value = selectedAlertClass;
+    }
+  }
+
+  buildAlertZoneOptions() {
+    const select = this.elements.alertZoneSelect;
+    const selected = select.value;
+    select.innerHTML = '';
+
+    const anywhere = document.createElement('option');
+    anywhere.value = '';
+    anywhere.textContent = 'Anywhere';
+    select.appendChild(anywhere);
+    for (const zone of this.zones.zones) {
+      const option = document.createElement('option');
+      option.value = zone.id;
+      option.textContent = zone.name;
+      select.appendChild(option);
+    }
+
+    select.value = this.zones.zones.some(zone => String(zone.id) === selected) ? selected : '';
+  }
+
+  updateAlertThresholdUnit() {
+    const type = this.elements.alertTypeSelect.value;
+    this.elements.alertThresholdUnit.textContent = type === 'count' ? 'objects' : 'seconds';
+  }
+
+  // Load a rule into the alert form for editing, or clear the form with null
+  editAlertRule(rule) {
+    const {
+      alertTypeSelect, alertClassSelect, alertZoneSelect, alertThresholdInput,
+      alertCooldownInput, alertActionCheckboxes, alertSaveBtn, alertCancelBtn
+    } = this.elements;
+
+    this.editingRuleId = rule ? rule.id : null;
+    alertTypeSelect.value = rule ? rule.type : RULE_TYPES[0];
+    if (rule) {
+      alertClassSelect.value = rule.className;
+      alertZoneSelect.value = rule.zoneId === null ? '' : rule.zoneId;
+    }
+    alertThresholdInput.value = rule ? rule.threshold : 10;
+    alertCooldownInput.value = rule ? rule.cooldown : 30;
+    for (const checkbox of alertActionCheckboxes) {
+      checkbox.checked = rule ? rule.actions.includes(checkbox.value) : checkbox.value === 'toast';
+    }
+
+    alertSaveBtn.textContent = rule ? 'Update Rule' : 'Add Rule';
+    alertCancelBtn.hidden = !rule;
+    this.updateAlertThresholdUnit();
+  }
+
+  saveAlertRule() {
+    const {
+      alertTypeSelect, alertClassSelect, alertZoneSelect, alertThresholdInput,
+      alertCooldownInput, alertActionCheckboxes
+    } = this.elements;
+    const fields = {
+      type: alertTypeSelect.value,
+      className: alertClassSelect.value,
+      zoneId: alertZoneSelect.value ? Number(alertZoneSelect.value) : null,
+      threshold: alertThresholdInput.value,
+      cooldown: alertCooldownInput.value,
+      actions: Array.from(alertActionCheckboxes).filter(box => box.checked).map(box => box.value)
+    };
+
+    try {
+      if (this.editingRuleId !== null) {
+        this.alerts.updateRule(this.editingRuleId, fields);
+      } else {
+        this.alerts.addRule(fields);
+      }
+    } catch (error) {
+      this.showError(error.message);
+      return;
+    }
+
+    // Saving is a user gesture, the moment browsers allow sound and permission prompts
+    if (fields.actions.includes('chime') && !this.audioContext && window.AudioContext) {
+      this.audioContext = new AudioContext();
+    }
+    if (fields.actions.includes('notification') && window.Notification?.permission === 'default') {
+      Notification.requestPermission();
+    }
+
+    this.editAlertRule(null);
+    this.renderAlertPanel();
+  }
+
+  /**
+   * @param {Object} source - The frame source the detections came from, for snapshots
+   */
+  updateAlerts(detections, timestamp, source) {
+    const alerts = this.alerts.evaluate(detections, {
+      timestamp,
+      frameDimensions: source.getFrameDimensions(),
+      labels: this.modelManager.currentLabels,
+      zones: this.zones.zones
+    });
+
+    for (const alert of alerts) {
+      this.fireAlert(alert, detections, source);
+    }
+    if (alerts.length > 0) {
+      this.renderAlertPanel();
+    }
+  }
+
+  fireAlert({ rule, message }, detections, source) {
+    console.log(`🔔 Alert: ${message}`);
+    this.alertLog.unshift({ message, clockTime: new Date() });
+    this.alertLog.length = Math.min(this.alertLog.length, MAX_ZONE_EVENTS);
+
+    // Alerts fire inside the detection pass, so a failing action must not abort it
+    // (e.g. Chrome on Android has no Notification constructor for pages)
+    for (const action of rule.actions) {
+      try {
+        this.runAlertAction(action, rule, message, detections, source);
+      } catch (error) {
+        console.warn(`⚠️ Alert action "${action}" failed:`, error.message);
+      }
+    }
+  }
+
+  runAlertAction(action, rule, message, detections, source) {
+    switch (action) {
+      case 'chime':
+        if (this.audioContext) {
+          this.audioContext.resume()
+            .then(() => playChime(this.audioContext))
+            .catch((error) => console.warn('⚠️ Alert chime failed:', error.message));
+        }
+        break;
+      case 'notification':
+        if (window.Notification?.permission === 'granted') {
+          new Notification('Detection alert', { body: message, tag: `alert-${rule.id}` });
+        }
+        break;
+      case 'toast':
+        this.showToast(message, 'warn');
+        break;
+      case 'snapshot':
+        this.saveAlertSnapshot(message, detections, source);
+        break;
+    }
+  }
+
+  /**
+   * Download the frame an alert fired on with its detections drawn on it
+   * @param {Object} source - Frame source the detections came from
+   */
+  async saveAlertSnapshot(message, detections, source) {
+    // One at a time; alerts firing together share a snapshot
+    if (this.isSavingAlertSnapshot) return;
+    this.isSavingAlertSnapshot = true;
+
+    // Copy the frame before anything is awaited; a grabbed source is freed once the detection pass ends
+    const frameCopy = source.createFrameBitmap();
+    const format = this.elements.snapshotFormatSelect.value;
+    const extension = format === 'jpeg' ? 'jpg' : 'png';
+    try {
+      const bitmap = await frameCopy;
+      const annotated = renderAnnotated(renderFrame(bitmap), detections, this.overlayRenderer, {
+        modelType: this.modelManager.getCurrentModelConfig().modelType
+      });
+      bitmap.close();
+      
+      const blob = await encodeCanvas(annotated, format);
+      downloadFile(blob, `alert-${fileTimestamp(new Date().toISOString())}.${extension}`, blob.type);
+      console.log(`📸 Saved alert snapshot: ${message}`);
+    } catch (error) {
+      console.error('Alert snapshot failed:', error);
+      this.showError('Alert snapshot failed: ' + error.message);
+    } finally {
+      this.isSavingAlertSnapshot = false;
+    }
+  }
+
+  renderAlertPanel() {
+    const { alertRuleList, alertLog } = this.elements;
+
+    alertRuleList.innerHTML = '';
+    for (const rule of this.alerts.rules) {
+      const zone = this.zones.zones.find(candidate => candidate.id === rule.zoneId);
+      const item = document.createElement('li');
+      item.className = 'alert-rule';
+
+      const label = document.createElement('label');
+      const enabled = document.createElement('input');
+      enabled.type = 'checkbox';
+      enabled.checked = rule.enabled;
+      enabled.dataset.enableRuleId = rule.id;
+      label.append(enabled, describeRule(rule, zone?.name));
+
+      const edit = document.createElement('button');
+      edit.className = 'zone-delete';
+      edit.textContent = 'Edit';
+      edit.dataset.editRuleId = rule.id;
+
+      const remove = document.createElement('button');
+      remove.className = 'zone-delete';
+      remove.textContent = 'Delete';
+      remove.dataset.deleteRuleId = rule.id;
+      remove.setAttribute('aria-label', `Delete rule: ${describeRule(rule, zone?.name)}`);
+
+      const details = document.createElement('span');
+      details.className = 'zone-details';
+      details.textContent = `${rule.actions.join(', ')} · cooldown ${rule.cooldown} s`;
+
+      item.append(label, edit, remove, details);
+      alertRuleList.appendChild(item);
+    }
+
+    alertLog.innerHTML = '';
+    for (const entry of this.alertLog) {
+      const item = document.createElement('li');
+      item.textContent = `${entry.clockTime.toLocaleTimeString()} ${entry.message}`;
+      alertLog.appendChild(item);
+    }
+  }
+
+  recordZoneEvent(event) {
+    const who = `${event.label} #${event.trackId}`;
+    const text = event.type === 'enter'
+      ? `${who} entered ${event.zone.name}`
+      : `${who} left ${event.zone.name} after ${(event.dwell / 1000).toFixed(1)}s`;
+    console.log(`📐 ${text}`);
+
+    this.zoneEvents.unshift({ ...event, text, clockTime: new Date() });
+    this.zoneEvents.length = Math.min(this.zoneEvents.length, MAX_ZONE_EVENTS);
+  }
+
+  renderZonePanel() {
+    this.zoneRenderTime = performance.now();
+    const { zoneList, zoneEventList } = this.elements;
+
+    zoneList.innerHTML = '';
+    for (const zone of this.zones.zones) {
+      const { counts, occupants } = this.zones.getStats(zone.id);
+      const item = document.createElement('li');
+      item.className = 'zone-item';
+
+      const swatch = document.createElement('span');
+      swatch.className = 'zone-swatch';
+      swatch.style.backgroundColor = zone.color;
+
+      const name = document.createElement('span');
+      name.textContent = zone.name;
+
+      const remove = document.createElement('button');
+      remove.className = 'zone-delete';
+      remove.textContent = 'Delete';
+      remove.dataset.zoneId = zone.id;
+      remove.setAttribute('aria-label', `Delete zone ${zone.name}`);
+
+      const details = document.createElement('span');
+      details.className = 'zone-details';
+      const countText = counts.map(({ label, count }) => `${count} ${label}`).join(', ') || 'Empty';
+      const dwellText = occupants
+        .map(({ trackId, label, dwell }) => `${label} #${trackId} ${(dwell / 1000).toFixed(1)}s`)
+        .join(', ');
+      details.textContent = dwellText ? `${countText} · ${dwellText}` : countText;
+
+      item.append(swatch, name, remove, details);
+      zoneList.appendChild(item);
+    }
+
+    zoneEventList.innerHTML = '';
+    for (const event of this.zoneEvents) {
+      const item = document.createElement('li');
+      item.textContent = `${event.clockTime.toLocaleTimeString()} ${event.text}`;
+      zoneEventList.appendChild(item);
+    }
+  }
+
+  /**
+   * Start building the room inventory from live detection, starting it if needed
+   */
+  startScan() {
+    if (this.inputMode !== 'camera' || !this.camera.isReady()) {
+      this.showError('Room scans need the camera');
+      return;
+    }
+
+    this.startLiveDetection();
+    this.isScanning = true;
+    this.elements.scanBtn.textContent = 'Stop Scan';
+    this.elements.scanBtn.classList.add('active');
+    console.log('🏠 Room scan started');
+  }
+
+  stopScan() {
+    this.isScanning = false;
+    this.elements.scanBtn.textContent = 'Start Scan';
+    this.elements.scanBtn.classList.remove('active');
+    this.renderInventory();
+    console.log(`🏠 Room scan stopped with ${this.inventory.size} objects`);
+  }
+
+  /**
+   * @param {ImageBitmap} frame - The frame the detections came from, for signatures and thumbnails
+   */
+  updateInventory(detections, timestamp, frame) {
+    this.inventory.update(detections, timestamp, frame);
+    // Last-seen times change every frame; redraw at a bounded rate
+    if (performance.now() - this.inventoryRenderTime > PANEL_RENDER_INTERVAL) {
+      this.renderInventory();
+    }
+  }
+
+  renderInventory() {
+    this.inventoryRenderTime = performance.now();
+    const { inventoryTotal, inventoryCounts, inventoryList } = this.elements;
+    inventoryTotal.textContent = `(${this.inventory.size})`;
+
+    inventoryCounts.innerHTML = '';
+    for (const { label, color, count } of this.inventory.getCounts()) {
+      const chip = document.createElement('li');
+      chip.className = 'inventory-count';
+      chip.textContent = `${label} × ${count}`;
+      if (color) {
+        chip.style.color = color;
+      }
+      inventoryCounts.appendChild(chip);
+    }
+
+    inventoryList.innerHTML = '';
+    for (const item of this.inventory.getItems()) {
+      const entry = document.createElement('li');
+      entry.className = 'inventory-item';
+
+      const thumbnail = document.createElement('img');
+      thumbnail.className = 'inventory-thumbnail';
+      thumbnail.alt = '';
+      if (item.thumbnail) {
+        thumbnail.src = item.thumbnail;
+      }
+
+      const details = document.createElement('span');
+      details.textContent = `#${item.id} ${item.label} ${Math.round(item.bestScore * 100)}%`;
+
+      const times = document.createElement('span');
+      times.className = 'inventory-times';
+      times.textContent = `Seen ${formatMediaTime(item.firstSeenOffset / 1000)} – ${formatMediaTime(item.lastSeenOffset / 1000)}`;
+      details.appendChild(times);
+
+      entry.append(thumbnail, details);
+      inventoryList.appendChild(entry);
+    }
+  }
+
+  async toggleRecording() {
+    if (this.sessionRecorder.isRecording) {
+      await this.stopRecording();
+    } else {
+      this.startRecording();
+    }
+  }
+
+  /**
+   * Record the camera with the detection overlay composited at native resolution
+   */
+  startRecording() {
+    if (!this.isLiveDetection || this.sessionRecorder.isRecording) return;
+
+    const config = this.modelManager.getCurrentModelConfig();
+    try {
+      this.sessionRecorder.start(this.elements.video, this.overlayRenderer, () => ({
+        detections: this.renderedDetections,
+        modelType: config.modelType
+      }));
+    } catch (error) {
+      console.error('Failed to start recording:', error);
+      this.showError('Failed to start recording: ' + error.message);
+      return;
+    }
+
+    this.recordingMeta = {
+      model: describeModel(config, this.modelManager.currentLabels),
+      filter: this.detectionFilter.toJSON()
+    };
+    this.elements.recordBtn.textContent = 'Stop Recording';
+    this.elements.recordBtn.classList.add('active');
+    this.elements.recordingStatus.hidden = false;
+    this.updateRecordingStatus();
+    this.recordingTimer = setInterval(() => this.updateRecordingStatus(), 500);
+  }
+
+  /**
+   * Stop recording and download the video, and the detections track if enabled
+   */
+  async stopRecording() {
+    if (!this.sessionRecorder.isRecording) return;
+
+    clearInterval(this.recordingTimer);
+    this.recordingTimer = null;
+    this.elements.recordBtn.textContent = 'Record';
+    this.elements.recordBtn.classList.remove('active');
+    this.elements.recordingStatus.hidden = true;
+
+    try {
+      const recording = await this.sessionRecorder.stop();
+      const name = `recording-${fileTimestamp()}`;
+      downloadFile(recording.video, `${name}.webm`, recording.video.type);
+      
+      if (this.elements.recordingSidecarCheckbox.checked) {
+        const { model, filter } = this.recordingMeta;
+        const sidecar = SessionRecorder.buildSidecar(recording, model, filter, `${name}.webm`);
+        downloadFile(JSON.stringify(sidecar, null, 2), `${name}.json`, 'application/json');
+      }
+    } catch (error) {
+      console.error('Failed to save recording:', error);
+      this.showError('Failed to save recording: ' + error.message);
+    } finally {
+      this.recordingMeta = null;
+    }
+  }
+
+  updateRecordingStatus() {
+    const seconds = this.sessionRecorder.getDuration() / 1000;
+    const megabytes = (this.sessionRecorder.size / 1e6).toFixed(1);
+    this.elements.recordingStatus.textContent = `● REC ${formatMediaTime(seconds)} · ${megabytes} MB`;
+  }
+
+  async switchCamera() {
+    if (this.isSwitchingCamera) return;
+
+    try {
+      this.isSwitchingCamera = true;
+      this.elements.switchCameraBtn.disabled = true;
+      this.elements.switchCameraBtn.textContent = 'Switching...';
+      
+      this.reset();
+      await this.camera.switchCamera();
+    } catch (error) {
+      console.error('Failed to switch camera:', error);
+      this.showError('Failed to switch camera: ' + error.message);
+    } finally {
+      this.isSwitchingCamera = false;
+      this.elements.switchCameraBtn.textContent = 'Switch Camera';
+      this.updateInputControls();
+    }
+  }
+
+  /**
+   * Switch to image mode and run detection on an image file
+   */
+  async openImage(file) {
+    try {
+      this.stopLiveDetection();
+      this.elements.video.pause();
+      const { width, height } = await this.imageInput.load(file);
+      
+      // The image canvas works at native resolution; CSS scales it to fit
+      const canvas = this.elements.imageCanvas;
+      canvas.width = width;
+      canvas.height = height;
+      canvas.setAttribute('aria-label', `${this.imageInput.name} with detection results`);
+      
+      this.inputMode = 'image';
+      this.camera.reset();
+      this.updateInputControls();
+      this.renderDetections([]); // Show the image while the model runs
+      
+      await this.capturePhoto();
+    } catch (error) {
+      console.error('Failed to open image:', error);
+      this.showError('Failed to open image: ' + error.message);
+    }
+  }
+
+  /**
+   * Run the current model over many images and collect one results file
+   * @param {File[]} fileList - Picked files; non-images are skipped
+   */
+  async runBatch(fileList) {
+    if (this.batchProcessor.isRunning || this.isChangingModel) return;
+
+    const files = BatchProcessor.selectImageFiles(fileList);
+    if (files.length === 0) {
+      this.showError('No image files were selected');
+      return;
+    }
+
+    this.stopLiveDetection();
+    this.elements.video.pause();
+
+    // Every image goes through the same pipeline and settings as live detection
+    const config = this.modelManager.getCurrentModelConfig();
+    const filter = this.detectionFilter.toJSON();
+    const { batchPanel, batchProgress, batchStatus, batchCancelBtn, batchDownloadBtn } = this.elements;
+    this.batchResults = null;
+    batchPanel.hidden = false;
+    batchProgress.max = files.length;
+    batchProgress.value = 0;
+    batchStatus.textContent = `Processing ${files.length} images with ${config.name}...`;
+    batchCancelBtn.hidden = false;
+    batchCancelBtn.disabled = false;
+    batchDownloadBtn.hidden = true;
+
+    try {
+      const batch = await this.batchProcessor.run(
+        files,
+        async (imageInput) => {
+          const startTime = Date.now();
+          const result = await this.detectFrame(imageInput, config, imageInput.getFrameDimensions());
+          if (result) {
+            this.inferenceTime = result.inferenceTime;
+            this.totalTime = Date.now() - startTime;
+            this.updatePerformanceMetrics();
+          }
+          return result;
+        },
+        (done, total, path) => {
+          batchProgress.value = done;
+          if (!this.batchProcessor.isCancelled) {
+            batchStatus.textContent = `${done} / ${total}: ${path}`;
+          }
+        }
+      );
+      
+      this.batchResults = BatchProcessor.buildResults(
+        batch,
+        describeModel(config, this.modelManager.currentLabels),
+        filter,
+        files.length
+      );
+      
+      const { processed, failed, detections } = this.batchResults.summary;
+      batchStatus.textContent = `${batch.cancelled ? 'Cancelled' : 'Done'}: ${processed} of ${files.length} images, ` +
+        `${detections} detections` + (failed ? `, ${failed} failed` : '');
+      batchDownloadBtn.hidden = batch.images.length === 0;
+    } catch (error) {
+      console.error('Batch processing failed:', error);
+      batchStatus.textContent = 'Batch processing failed';
+      this.showError('Batch processing failed: ' + error.message);
+    } finally {
+      batchCancelBtn.hidden = true;
+      this.updateInputControls();
+    }
+  }
+
+  downloadBatchResults() {
+    if (!this.batchResults) return;
+
+    const { model, createdAt } = this.batchResults;
+    downloadFile(
+      JSON.stringify(this.batchResults, null, 2),
+      `batch-${model.id}-${fileTimestamp(createdAt)}.json`,
+      'application/json'
+    );
+  }
+
+  /**
+   * The frame on screen as a results image: a name, source size and serialized detections
+   */
+  describeCurrentFrame(detections = this.lastDetections, file = this.currentFrameName()) {
+    const { width, height } = this.getFrameSource().getFrameDimensions();
+    const image = { file, width, height, detections: detections.map(serializeDetection) };
+    if (this.lastClassifications.length > 0) {
+      image.classifications = this.lastClassifications.map(({ classId, label, score }) => ({ classId, label, score }));
+    }
+    return image;
+  }
+
+  // File name for the frame on screen, used in exports and snapshots
+  currentFrameName() {
+    if (this.inputMode === 'image') {
+      return this.imageInput.name;
+    }
+    if (this.inputMode === 'video') {
+      const time = Math.round(this.elements.video.currentTime * 1000);
+      return `${stripExtension(this.camera.fileName)}-${time}ms.png`;
+    }
+    return `frame-${fileTimestamp()}.png`;
+  }
+
+  /**
+   * Whether something will crop from this frame after detecting on it
+   * @param {number} timestamp - Live frame time, to tell whether a history thumbnail is due
+   */
+  needsFrameCopy(timestamp = null) {
+    if (!this.getFrameSource().isReady()) return false;
+    const historyThumbnail = timestamp !== null && this.history.settings.thumbnails &&
+      this.history.shouldSample(timestamp) && !this.isSavingHistoryFrame;
+    return historyThumbnail ||
+      this.alerts.rules.some(rule => rule.enabled && rule.actions.includes('snapshot'));
+  }
+
+  /**
+   * Copy the frame on screen into an ImageInput that can be detected on and kept
+   */
+  async grabFrame() {
+    const frame = new ImageInput();
+    frame.setBitmap(await this.getFrameSource().createFrameBitmap(), this.currentFrameName());
+    return frame;
+  }
+
+  // Keep the frame and results of a capture for snapshots, replacing the previous one
+  setLastCapture(frame, detections) {
+    this.lastCapture?.frame.clear();
+    
+    const config = this.modelManager.getCurrentModelConfig();
+    this.lastCapture = {
+      frame,
+      detections,
+      image: this.describeCurrentFrame(detections, frame.name),
+      model: describeModel(config, this.modelManager.currentLabels),
+      filter: this.detectionFilter.toJSON(),
+      modelType: config.modelType,
+      frontCamera: this.inputMode === 'camera' && this.camera.facingMode === 'user'
+    };
+    this.elements.snapshotBtn.disabled = false;
+  }
+
+  /**
+   * Download the last capture at full resolution with its detections drawn on it,
+   * optionally with the raw frame and a JSON sidecar in the same pixel space
+   */
+  async saveSnapshot() {
+    const capture = this.lastCapture;
+    if (!capture) {
+      this.showError('Capture a photo first');
+      return;
+    }
+
+    const format = this.elements.snapshotFormatSelect.value;
+    const extension = format === 'jpeg' ? 'jpg' : 'png';
+    const name = stripExtension(capture.image.file);
+    // Only the annotated image is mirrored; the raw frame and sidecar keep camera coordinates
+    const mirror = capture.frontCamera && this.elements.snapshotMirrorCheckbox.checked;
+
+    try {
+      const frame = renderFrame(capture.frame.bitmap);
+      const annotated = renderAnnotated(
+        mirror ? renderFrame(capture.frame.bitmap, true) : frame,
+        capture.detections,
+        this.overlayRenderer,
+        { modelType: capture.modelType, mirror }
+      );
+      
+      const annotatedName = `${name}-annotated.${extension}`;
+      const annotatedBlob = await encodeCanvas(annotated, format);
+      downloadFile(annotatedBlob, annotatedName, annotatedBlob.type);
+      
+      const rawName = `${name}.${extension}`;
+      if (this.elements.snapshotRawCheckbox.checked) {
+        const rawBlob = await encodeCanvas(frame, format);
+        downloadFile(rawBlob, rawName, rawBlob.type);
+      }
+      
+      if (this.elements.snapshotSidecarCheckbox.checked) {
+        const image = { ...capture.image, file: rawName, annotated: annotatedName, annotatedMirrored: mirror };
+        const sidecar = createResults(capture.model, capture.filter, [image]);
+        downloadFile(JSON.stringify(sidecar, null, 2), `${name}.json`, 'application/json');
+      }
+      
+      console.log(`📸 Saved snapshot ${annotatedName} (${annotated.width}×${annotated.height})`);
+    } catch (error) {
+      console.error('Snapshot failed:', error);
+      this.showError('Snapshot failed: ' + error.message);
+    }
+  }
+
+  buildExportFormatOptions() {
+    const select = this.elements.exportFormatSelect;
+    select.innerHTML = '';
+    for (const format of EXPORT_FORMATS) {
+      select.appendChild(new Option(EXPORT_FORMAT_LABELS[format], format));
+    }
+  }
+
+  /**
+   * Download detections in an annotation format
+   * @param {string} scope - 'frame', 'session' (captures since the last reset) or 'batch'
+   * @param {string} format - One of EXPORT_FORMATS
+   */
+  exportDetections(scope, format) {
+    let results = null;
+    if (scope === 'batch') {
+      results = this.batchResults;
+    } else {
+      let images = this.captureSession;
+      if (scope === 'frame') {
+        images = this.getFrameSource().isReady() ? [this.describeCurrentFrame()] : [];
+      }
+      if (images.length > 0) {
+        results = createResults(
+          describeModel(this.modelManager.getCurrentModelConfig(), this.modelManager.currentLabels),
+          this.detectionFilter.toJSON(),
+          images
+        );
+      }
+    }
+
+    if (!results) {
+      this.showError({
+        frame: 'There is no frame to export yet',
+        session: 'Capture a photo or image first; the session is empty',
+        batch: 'Run a batch first'
+      }[scope]);
+      return;
+    }
+
+    try {
+      const { content, type, extension } = exportResults(results, format);
+      downloadFile(content, `detections-${scope}-${format}-${fileTimestamp(results.createdAt)}.${extension}`, type);
+      console.log(`📤 Exported ${results.images.length} image(s) as ${EXPORT_FORMAT_LABELS[format]}`);
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.showError('Export failed: ' + error.message);
+    }
+  }
+
+  /**
+   * Route an opened, dropped or pasted file to image or video mode
+   */
+  async openFile(file) {
+    if (file.type.startsWith('video/')) {
+      await this.openVideo(file);
+    } else {
+      await this.openImage(file);
+    }
+  }
+
+  /**
+   * Replace the camera stream with a local video file and detect its first frame
+   */
+  async openVideo(file) {
+    try {
+      this.stopLiveDetection();
+      await this.camera.loadVideoFile(file);
+      
+      this.inputMode = 'video';
+      this.imageInput.clear();
+      this.videoTimeline.clear();
+      this.tracker.reset();
+      this.smoother.reset();
+      this.zones.resetOccupancy();
+      this.alerts.resetState();
+      this.frameDuration = DEFAULT_FRAME_DURATION;
+      this.lastFrameMetadata = null;
+      this.updateInputControls();
+      this.updatePlaybackDisplay();
+      
+      await this.detectVideoFrame();
+    } catch (error) {
+      console.error('Failed to open video:', error);
+      this.showError('Failed to open video: ' + error.message);
+      if (this.inputMode === 'camera' && this.cameraAvailable) {
+        await this.camera.startCamera().catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Detect on the video file's current frame and index the results by its time;
+   * detections are queued so playback, stepping and seeking never overlap
+   * @param {ImageInput} source - A frame grabbed from the video, or null for the video itself
+   */
+  detectVideoFrame(source = null) {
+    const run = async () => {
+      if (this.inputMode !== 'video') return [];
+      
+      const time = this.elements.video.currentTime * 1000;
+      const startTime = Date.now();
+      // Playback moves on while detection runs, so alert snapshots need a copy of the detected frame
+      const frame = !source && this.needsFrameCopy() ? await this.grabFrame() : null;
+      let detections;
+      try {
+        detections = await this.runSingleDetection({ track: true, timestamp: time, source: source || frame });
+      } finally {
+        frame?.clear();
+      }
+      this.totalTime = Date.now() - startTime;
+      this.updatePerformanceMetrics();
+      
+      this.videoTimeline.set(time, { detections, classifications: this.lastClassifications });
+      return detections;
+    };
+    
+    this.videoDetectionQueue = this.videoDetectionQueue.then(run, run);
+    return this.videoDetectionQueue;
+  }
+
+  // Detect on each new frame while the video file plays
+  scheduleVideoDetection() {
+    const video = this.elements.video;
+    if (this.inputMode !== 'video' || video.paused || video.ended || this.isVideoFramePending) return;
+
+    this.isVideoFramePending = true;
+    const next = async () => {
+      this.isVideoFramePending = false;
+      try {
+        await this.detectVideoFrame();
+      } catch (error) {
+        console.error('Video detection error:', error);
+      }
+      this.scheduleVideoDetection();
+    };
+
+    if (video.requestVideoFrameCallback) {
+      video.requestVideoFrameCallback((now, metadata) => {
+        this.updateFrameDuration(metadata);
+        next();
+      });
+    } else {
+      this.animationId = requestAnimationFrame(next);
+    }
+  }
+
+  // Estimate the file's frame rate from presented frames, for frame stepping
+  updateFrameDuration({ mediaTime, presentedFrames }) {
+    const last = this.lastFrameMetadata;
+    if (last && presentedFrames > last.presentedFrames && mediaTime > last.mediaTime) {
+      const estimate = (mediaTime - last.mediaTime) / (presentedFrames - last.presentedFrames);
+      if (estimate > 1 / 240 && estimate < 1 / 5) {
+        this.frameDuration = estimate;
+      }
+    }
+    this.lastFrameMetadata = { mediaTime, presentedFrames };
+  }
+
+  /**
+   * Pause and move one frame forward or back
+   * @param {number} direction - 1 for the next frame, -1 for the previous one
+   */
+  async stepVideo(direction) {
+    if (this.inputMode !== 'video') return;
+
+    const video = this.elements.video;
+    video.pause();
+    this.isSteppingForward = direction > 0;
+    try {
+      await this.camera.seekTo(video.currentTime + direction * this.frameDuration);
+    } finally {
+      this.isSteppingForward = false;
+    }
+  }
+
+  /**
+   * Show a paused frame's results, reusing stored ones when that frame was already processed
+   */
+  async onVideoSeeked() {
+    const video = this.elements.video;
+    if (this.inputMode !== 'video' || !video.paused) return;
+
+    this.updatePlaybackDisplay();
+    const stored = this.videoTimeline.getNearest(video.currentTime * 1000, this.frameDuration * 500);
+    if (stored) {
+      this.lastDetections = stored.detections;
+      this.lastClassifications = stored.classifications || [];
+      const config = this.modelManager.getCurrentModelConfig();
+      this.renderDetections(stored.detections, config);
+      if (config.modelType === 'classify') {
+        this.renderClassifications(this.lastClassifications);
+      }
+      return;
+    }
+
+    try {
+      await this.detectVideoFrame();
+    } catch (error) {
+      console.error('Video detection error:', error);
+      this.showError('Detection failed: ' + error.message);
+    }
+  }
+
+  updatePlaybackDisplay() {
+    if (this.inputMode !== 'video') return;
+
+    const video = this.elements.video;
+    const duration = Number.isFinite(video.duration) ? video.duration : 0;
+    this.elements.playPauseBtn.textContent = video.paused || video.ended ? 'Play' : 'Pause';
+    this.elements.seekSlider.max = duration;
+    this.elements.seekSlider.value = video.currentTime;
+    this.elements.playbackTime.textContent = `${formatMediaTime(video.currentTime)} / ${formatMediaTime(duration)}`;
+  }
+
+  /**
+   * Go back to the camera from image or video mode, starting it if needed
+   */
+  async useCamera() {
+    if (this.cameraAvailable) {
+      try {
+        if (!this.camera.stream) {
+          await this.camera.startCamera();
+        }
+      } catch (error) {
+        this.showError(error.message);
+        return;
+      }
+    } else if (!(await this.initializeCamera())) {
+      return;
+    }
+
+    this.inputMode = 'camera';
+    this.imageInput.clear();
+    this.videoTimeline.clear();
+    this.zones.resetOccupancy(); // Video file times and camera times don't mix
+    this.alerts.resetState();
+    this.reset();
+    this.updateInputControls();
+  }
+
+  // Show the view and enable the controls that fit the current input mode
+  updateInputControls() {
+    const mode = this.inputMode;
+    const imageMode = mode === 'image';
+    const cameraMode = mode === 'camera';
+    const { video, canvas, imageCanvas, captureBtn, liveBtn, switchCameraBtn, cameraModeBtn, playbackControls } = this.elements;
+
+    video.hidden = imageMode;
+    canvas.hidden = imageMode;
+    imageCanvas.hidden = !imageMode;
+    this.elements.zoneCanvas.hidden = imageMode;
+    cameraModeBtn.hidden = cameraMode;
+    playbackControls.hidden = mode !== 'video';
+
+    captureBtn.textContent = { camera: 'Capture Photo', image: 'Detect Image', video: 'Detect Frame' }[mode];
+    captureBtn.disabled = this.isCapturing || (cameraMode && !this.cameraAvailable);
+    liveBtn.disabled = !cameraMode || !this.cameraAvailable;
+    switchCameraBtn.disabled = !cameraMode || !this.cameraAvailable || this.isSwitchingCamera;
+
+    // The model and its settings stay fixed while a batch runs
+    const batchRunning = this.batchProcessor.isRunning;
+    this.elements.batchFilesBtn.disabled = batchRunning;
+    this.elements.batchFolderBtn.disabled = batchRunning;
+    this.elements.changeModelBtn.disabled = batchRunning || this.isChangingModel;
+    this.elements.executionProviderSelect.disabled = batchRunning || this.isChangingModel;
+    if (batchRunning) {
+      captureBtn.disabled = true;
+      liveBtn.disabled = true;
+    }
+  }
+
+  async changeModel() {
+    if (this.isChangingModel || this.batchProcessor.isRunning) return;
+
+    try {
+      this.isChangingModel = true;
+      this.elements.changeModelBtn.disabled = true;
+      this.elements.changeModelBtn.textContent = 'Loading...';
+      
+      this.reset();
+      this.captureSession = []; // Captures from different models don't mix in one export
+      this.elements.currentModel.textContent = 'Loading...';
+      
+      if (this.inferenceWorker) {
+        this.modelManager.selectNextModel();
+        const { modelIndex, executionProvider } = await this.inferenceWorker.loadModel(this.modelManager.currentModelIndex);
+        this.modelManager.currentModelIndex = modelIndex;
+        this.executionProviderInfo = executionProvider;
+        await this.modelManager.loadCurrentLabels();
+      } else {
+        await this.modelManager.switchToNextModel();
+        this.executionProviderInfo = await this.modelManager.getExecutionProviderInfo();
+      }
+      this.applyModelThresholds();
+      this.applyModelLabels();
+      this.updateModelDisplay();
+    } catch (error) {
+      console.error('Failed to change model:', error);
+      this.showError('Failed to change model: ' + error.message);
+      this.updateModelDisplay(); // Restore previous model name
+    } finally {
+      this.isChangingModel = false;
+      this.elements.changeModelBtn.disabled = false;
       this.elements.changeModelBtn.textContent = 'Change Model';
     }
   }
 
+  async changeExecutionProvider(preference) {
+    if (this.isChangingModel || this.batchProcessor.isRunning) return;
+
+    try {
+      this.isChangingModel = true;
+      this.elements.executionProviderSelect.disabled = true;
+      this.elements.currentProvider.textContent = 'Loading...';
+      
+      this.modelManager.setExecutionProvider(preference);
+      if (this.inferenceWorker) {
+        const { executionProvider } = await this.inferenceWorker.setExecutionProvider(preference);
+        this.executionProviderInfo = executionProvider;
+      } else {
+        await this.modelManager.loadCurrentModel();
+        this.executionProviderInfo = await this.modelManager.getExecutionProviderInfo();
+      }
+    } catch (error) {
+      console.error('Failed to change execution provider:', error);
+      this.showError('Failed to change execution provider: ' + error.message);
+    } finally {
+      this.isChangingModel = false;
+      this.elements.executionProviderSelect.disabled = false;
+      this.updateExecutionProviderDisplay();
+    }
+  }
+
   reset() {
     this.stopLiveDetection();
     this.camera.reset();
+    this.lastDetections = [];
+    this.lastClassifications = [];
+    this.renderClassifications([]);
+    if (this.inputMode === 'image') {
+      this.renderDetections([]); // Keep the image, drop its boxes
+    }
+    if (this.inputMode === 'video') {
+      this.elements.video.pause();
+      this.videoTimeline.clear();
+      this.tracker.reset();
+      this.smoother.reset();
+    }
     this.inferenceTime = 0;
     this.totalTime = 0;
     this.updatePerformanceMetrics();
@@ -274,6 +2492,152 @@ class ObjectDetectionApp {
   updateModelDisplay() {
     const config = this.modelManager.getCurrentModelConfig();
     this.elements.currentModel.textContent = config.name;
+    this.elements.resizeModeSelect.value = config.resizeMode;
+    this.elements.keypointSetting.hidden = config.modelType !== 'pose';
+    this.elements.classificationPanel.hidden = config.modelType !== 'classify';
+    if (this.executionProviderInfo) {
+      this.updateExecutionProviderDisplay();
+    }
+  }
+
+  /**
+   * Use the current model's default confidence from the manifest
+   */
+  applyModelThresholds() {
+    const { thresholds } = this.modelManager.getCurrentModelConfig();
+    if (thresholds.confidence !== undefined) {
+      this.detectionFilter.setConfidenceThreshold(thresholds.confidence);
+      this.updateConfidenceDisplay();
+    }
+  }
+
+  /**
+   * Rebuild the class filter for the current model's label set; class ids
+   * mean different things across label sets, so class choices are cleared
+   */
+  applyModelLabels() {
+    const labels = this.modelManager.currentLabels;
+    if (labels === this.classFilterLabels) return;
+
+    if (this.classFilterLabels) {
+      this.detectionFilter.resetClasses();
+    }
+    this.buildClassFilterList();
+  }
+
+  buildExecutionProviderOptions() {
+    const select = this.elements.executionProviderSelect;
+    const available = this.executionProviderInfo ? this.executionProviderInfo.available : ['wasm'];
+    select.innerHTML = '';
+
+    for (const provider of ['auto', ...EXECUTION_PROVIDERS]) {
+      const option = document.createElement('option');
+      option.value = provider;
+      option.textContent = PROVIDER_LABELS[provider];
+      option.disabled = provider !== 'auto' && !available.includes(provider);
+      select.appendChild(option);
+    }
+
+    this.updateExecutionProviderDisplay();
+  }
+
+  updateExecutionProviderDisplay() {
+    const info = this.executionProviderInfo;
+    this.elements.executionProviderSelect.value = info ? info.preference : 'auto';
+    this.elements.currentProvider.textContent = info && info.active
+      ? PROVIDER_LABELS[info.active]
+      : 'Unknown';
+  }
+
+  buildClassFilterList() {
+    const list = this.elements.classFilterList;
+    const labels = this.modelManager.currentLabels;
+    list.innerHTML = '';
+    this.classFilterLabels = labels;
+
+    labels.entries.forEach(({ displayName: className }, classId) => {
+      const item = document.createElement('li');
+      item.className = 'class-filter-item';
+
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.classId = classId;
+      checkbox.checked = this.detectionFilter.isClassListed(classId);
+      label.append(checkbox, className);
+
+      const threshold = document.createElement('input');
+      threshold.type = 'number';
+      threshold.className = 'setting-input class-threshold';
+      threshold.min = '0';
+      threshold.max = '1';
+      threshold.step = '0.05';
+      threshold.placeholder = 'auto';
+      threshold.dataset.classId = classId;
+      threshold.setAttribute('aria-label', `${className} confidence threshold`);
+      if (this.detectionFilter.classThresholds.has(classId)) {
+        threshold.value = this.detectionFilter.getThreshold(classId);
+      }
+
+      item.append(label, threshold);
+      list.appendChild(item);
+    });
+    this.buildClassNameOptions();
+  }
+
+  /**
+   * Show a classifier's top-k classes as a ranked list with score bars
+   */
+  renderClassifications(classifications) {
+    const list = this.elements.classificationResults;
+    list.innerHTML = '';
+
+    for (const { label, score, color } of classifications) {
+      const item = document.createElement('li');
+      item.className = 'classification-item';
+
+      const name = document.createElement('span');
+      name.className = 'classification-label';
+      name.textContent = label;
+
+      const value = document.createElement('span');
+      value.className = 'classification-score';
+      value.textContent = `${(score * 100).toFixed(1)}%`;
+
+      const bar = document.createElement('span');
+      bar.className = 'classification-bar';
+      bar.style.width = `${Math.round(score * 100)}%`;
+      bar.style.backgroundColor = color || this.inferenceEngine.conf2color(score);
+
+      item.append(name, value, bar);
+      list.appendChild(item);
+    }
+  }
+
+  // Show the smoother's settings, which it may have clamped (T2 never exceeds T1)
+  updateSmoothingDisplay() {
+    const { enabled, alpha, appearThreshold, disappearThreshold, holdFrames } = this.smoother.options;
+    const {
+      smoothingCheckbox, smoothingOptions, smoothingAlphaSlider, smoothingAlphaValue,
+      smoothingAppearSlider, smoothingAppearValue, smoothingDisappearSlider,
+      smoothingDisappearValue, smoothingHoldInput
+    } = this.elements;
+
+    smoothingCheckbox.checked = enabled;
+    smoothingOptions.hidden = !enabled;
+    smoothingAlphaSlider.value = alpha;
+    smoothingAlphaValue.textContent = alpha.toFixed(2);
+    smoothingAppearSlider.value = appearThreshold;
+    smoothingAppearValue.textContent = `${Math.round(appearThreshold * 100)}%`;
+    smoothingDisappearSlider.value = disappearThreshold;
+    smoothingDisappearValue.textContent = `${Math.round(disappearThreshold * 100)}%`;
+    smoothingHoldInput.value = holdFrames;
+  }
+
+  updateConfidenceDisplay() {
+    const threshold = this.detectionFilter.confidenceThreshold;
+    this.elements.confidenceSlider.value = threshold;
+    this.elements.confidenceValue.textContent = `${Math.round(threshold * 100)}%`;
   }
 
   updatePerformanceMetrics() {
@@ -306,42 +2670,87 @@ class ObjectDetectionApp {
   }
 
   showError(message) {
-    // Remove any existing error messages
-    const existingError = document.querySelector('.error-toast');
-    if (existingError) {
-      existingError.remove();
+    this.showToast(message, 'error');
+  }
+
+  /**
+   * Show a dismissable message in the corner, replacing any previous one
+   * @param {string} message - Plain text
+   * @param {string} level - 'info', 'warn' or 'error'
+   */
+  showToast(message, level = 'info') {
+    const { icon, duration } = TOAST_LEVELS[level] || TOAST_LEVELS.info;
+
+    // Remove any existing toast
+    const existingToast = document.querySelector('.toast');
+    if (existingToast) {
+      existingToast.remove();
     }
 
-    // Create error toast
-    const errorDiv = document.createElement('div');
-    errorDiv.className = 'error-toast';
-    errorDiv.innerHTML = `
-      <div class="error-content">
-        <span class="error-icon">⚠️</span>
-        <span class="error-message">${message}</span>
-        <button class="error-close" aria-label="Close error message">×</button>
+    // Create toast
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${level}`;
+    toast.innerHTML = `
+      <div class="toast-content">
+        <span class="toast-icon">${icon}</span>
+        <span class="toast-message"></span>
+        <button class="toast-close" aria-label="Close message">×</button>
       </div>
     `;
+    toast.querySelector('.toast-message').textContent = message;
     
-    document.body.appendChild(errorDiv);
+    document.body.appendChild(toast);
     
     // Add close functionality
-    const closeBtn = errorDiv.querySelector('.error-close');
-    closeBtn.addEventListener('click', () => errorDiv.remove());
+    const closeBtn = toast.querySelector('.toast-close');
+    closeBtn.addEventListener('click', () => toast.remove());
     
-    // Auto-remove after 5 seconds
+    // Auto-remove after a while
     setTimeout(() => {
-      if (errorDiv.parentNode) {
-        errorDiv.remove();
+      if (toast.parentNode) {
+        toast.remove();
       }
-    }, 5000);
+    }, duration);
     
-    // Announce to screen readers
-    errorDiv.setAttribute('role', 'alert');
-    errorDiv.setAttribute('aria-live', 'assertive');
+    // Announce to screen readers; errors interrupt, other levels wait
+    toast.setAttribute('role', level === 'error' ? 'alert' : 'status');
+    toast.setAttribute('aria-live', level === 'error' ? 'assertive' : 'polite');
   }
 }
 
+// First image or video in a FileList
+function findMediaFile(files) {
+  return Array.from(files || []).find(file =>
+    ImageInput.isImageFile(file) || file.type.startsWith('video/')
+  ) || null;
+}
+
+// Save generated content through a temporary download link
+function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function stripExtension(name) {
+  return name.replace(/\.[^./]*$/, '');
+}
+
+// ISO time that is safe in file names
+function fileTimestamp(isoTime = new Date().toISOString()) {
+  return isoTime.replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+}
+
+// Media time as m:ss.t
+function formatMediaTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = (seconds - minutes * 60).toFixed(1).padStart(4, '0');
+  return `${minutes}:${rest}`;
+}
+
 // Validate browser capabilities
 function validateBrowserSupport() {
   const errors = [];
@@ -429,4 +2838,4 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     document.body.appendChild(errorDiv);
   }
-});
\ No newline at end of file
+});
@@ -0,0 +1,111 @@
+// Instance masks for YOLO segmentation models
+//
+// Segmentation heads emit mask coefficients per candidate plus a shared
+// prototype output [1, K, mh, mw]. An instance mask is the sigmoid of the
+// coefficient-weighted sum of the K prototypes, upsampled to the model input
+// and clipped to the instance box.
+
+// Mask pixels above this probability belong to the instance
+export const DEFAULT_MASK_THRESHOLD = 0.5;
+
+/**
+ * Build the mask for one candidate at model-input resolution, clipped to its box
+ *
+ * Mask logits are computed on the prototype cells around the box, then sampled
+ * bilinearly at each model pixel inside the box before thresholding, so edges
+ * follow the mask instead of the prototype grid (4x coarser for YOLOv8).
+ * @param {Float32Array} coefficients - Coefficient buffer from the candidate buffer
+ * @param {number} index - Candidate index
+ * @param {Object} protos - Prototype tensor [1, K, mh, mw]
+ * @param {number[]} box - Model-space [x0, y0, x1, y1]
+ * @param {number[]} modelResolution - [width, height] of the model input
+ * @param {number} threshold - Mask probability threshold
+ * @returns {Object|null} - { width, height, data (0 or 255 per pixel), rect (model-space [x0, y0, x1, y1]) }
+ */
+export function buildInstanceMask(coefficients, index, protos, box, modelResolution, threshold = DEFAULT_MASK_THRESHOLD) {
+  const [, channels, gridHeight, gridWidth] = protos.dims;
+  const cellWidth = modelResolution[0] / gridWidth;
+  const cellHeight = modelResolution[1] / gridHeight;
+
+  // Box clamped to the model input; one mask pixel per model pixel
+  const x0 = Math.max(0, box[0]);
+  const y0 = Math.max(0, box[1]);
+  const x1 = Math.min(modelResolution[0], box[2]);
+  const y1 = Math.min(modelResolution[1], box[3]);
+  if (x1 <= x0 || y1 <= y0) {
+    return null;
+  }
+  const width = Math.max(1, Math.round(x1 - x0));
+  const height = Math.max(1, Math.round(y1 - y0));
+
+  // Grid coordinates of each sample, measured between prototype cell centres
+  const columns = sampleGrid(x0, x1, width, cellWidth, gridWidth);
+  const rows = sampleGrid(y0, y1, height, cellHeight, gridHeight);
+
+  // Logits for the cells the samples interpolate between
+  const cx0 = columns.first;
+  const cy0 = rows.first;
+  const cellsWide = columns.last - cx0 + 1;
+  const cellsHigh = rows.last - cy0 + 1;
+  const logits = cellLogits(coefficients, index * channels, protos.data, channels, gridWidth, gridHeight,
+    cx0, cy0, cellsWide, cellsHigh);
+
+  // sigmoid(v) > threshold  <=>  v > logit(threshold)
+  const logitThreshold = Math.log(threshold / (1 - threshold));
+  const mask = new Uint8ClampedArray(width * height);
+
+  for (let y = 0; y < height; y++) {
+    const top = (rows.cell[y] - cy0) * cellsWide;
+    const bottom = (rows.next[y] - cy0) * cellsWide;
+    const fy = rows.weight[y];
+    for (let x = 0; x < width; x++) {
+      const left = columns.cell[x] - cx0;
+      const right = columns.next[x] - cx0;
+      const fx = columns.weight[x];
+      const upper = logits[top + left] + (logits[top + right] - logits[top + left]) * fx;
+      const lower = logits[bottom + left] + (logits[bottom + right] - logits[bottom + left]) * fx;
+      if (upper + (lower - upper) * fy > logitThreshold) {
+        mask[y * width + x] = 255;
+      }
+    }
+  }
+
+  return { width, height, data: mask, rect: [x0, y0, x1, y1] };
+}
+
+// For each of `count` samples across [start, end], the cell before it, the cell
+// after it and the interpolation weight, plus the range of cells used
+function sampleGrid(start, end, count, cellSize, gridSize) {
+  const cell = new Int32Array(count);
+  const next = new Int32Array(count);
+  const weight = new Float32Array(count);
+  const step = (end - start) / count;
+
+  for (let i = 0; i < count; i++) {
+    const position = Math.min(Math.max((start + (i + 0.5) * step) / cellSize - 0.5, 0), gridSize - 1);
+    cell[i] = Math.floor(position);
+    next[i] = Math.min(cell[i] + 1, gridSize - 1);
+    weight[i] = position - cell[i];
+  }
+
+  return { cell, next, weight, first: cell[0], last: next[count - 1] };
+}
+
+// Coefficient-weighted prototype sums for a block of cells
+function cellLogits(coefficients, coefficientOffset, data, channels, gridWidth, gridHeight, cx0, cy0, cellsWide, cellsHigh) {
+  const planeSize = gridWidth * gridHeight;
+  const logits = new Float32Array(cellsWide * cellsHigh);
+
+  for (let y = 0; y < cellsHigh; y++) {
+    const rowOffset = (cy0 + y) * gridWidth + cx0;
+    for (let x = 0; x < cellsWide; x++) {
+      let value = 0;
+      for (let k = 0; k < channels; k++) {
+        value += coefficients[coefficientOffset + k] * data[k * planeSize + rowOffset + x];
+      }
+      logits[y * cellsWide + x] = value;
+    }
+  }
+
+  return logits;
+}
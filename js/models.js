@@ -1,74 +1,188 @@
 // Model management and configuration with CDN fallback support
 import { AssetManager } from './assetManager.js';
+import { RESIZE_MODES, DEFAULT_RESIZE_MODE } from './resize.js';
+import { LabelSet, BUILTIN_LABEL_SET } from './labels.js';
+import { DEFAULT_KEYPOINT_COUNT } from './keypoints.js';
+import {
+  EXECUTION_PROVIDERS,
+  probeExecutionProviders,
+  getProviderCandidates,
+  getWasmPaths
+} from './executionProviders.js';
+
+// What a model predicts, which decides how results are rendered
+export const MODEL_TYPES = ['detect', 'segment', 'pose', 'classify'];
 
 export class ModelManager {
-  constructor() {
-    // Model configurations: [resolution, filename, expectedSize, priority]
-    this.RES_TO_MODEL = [
-      [[256, 256], 'yolov10n.onnx', 9309375, 'high'],      // Smallest, fastest
-      [[256, 256], 'yolov7-tiny_256x256.onnx', 24943827, 'high'],
-      [[320, 320], 'yolov7-tiny_320x320.onnx', 24949875, 'medium'],
-      [[640, 640], 'yolov7-tiny_640x640.onnx', 25000320, 'low'], // Largest, slowest
-    ];
+  /**
+   * @param {Object} options - baseUrl of the app, needed when running inside a worker
+   */
+  constructor(options = {}) {
+    // Model entries from models/manifest.json (see loadManifest)
+    this.models = [];
+    
+    // User-selected resize modes, keyed by model filename
+    this.resizeModeOverrides = new Map();
     
     this.currentModelIndex = 0;
     this.currentSession = null;
     this.isLoading = false;
-    this.assetManager = new AssetManager();
-    this.loadedModels = new Map(); // Cache for loaded models
+    this.assetManager = new AssetManager({ baseUrl: options.baseUrl });
+    this.wasmPaths = options.baseUrl ? new URL('./js/', options.baseUrl).href : './js/';
+    this.loadedModels = new Map(); // Cache for loaded models, keyed by filename@provider
+    this.labelSets = new Map(); // Cache for label sets, keyed by manifest "labels" value
+    this.currentLabels = null;
     this.fallbackAttempted = false;
+    
+    // Execution providers: user preference, the one in use, and ones that threw per model
+    this.executionProvider = 'auto';
+    this.activeProvider = null;
+    this.failedProviders = new Map(); // filename -> Set of providers
+    this.fastestProviders = new Map(); // filename -> provider that won Auto's warm-up timing
+  }
+
+  /**
+   * Load the model manifest; safe to call repeatedly
+   * @returns {Promise<Object[]>} - Manifest model entries
+   */
+  async loadManifest() {
+    if (this.models.length > 0) {
+      return this.models;
+    }
+    
+    const manifest = await this.assetManager.loadManifest();
+    this.models = manifest.models.map((entry, index) => validateManifestEntry(entry, index));
+    
+    if (this.models.length === 0) {
+      throw new Error('Model manifest does not list any models');
+    }
+    
+    this.currentModelIndex = Math.min(this.currentModelIndex, this.models.length - 1);
+    console.log(`📋 Model manifest loaded: ${this.models.length} models`);
+    return this.models;
   }
 
   getCurrentModelConfig() {
-    const model = this.RES_TO_MODEL[this.currentModelIndex];
+    const model = this.models[this.currentModelIndex];
+    const [, , height, width] = model.inputShape;
     return {
-      resolution: model[0],
-      filename: model[1],
-      expectedSize: model[2],
-      priority: model[3],
-      name: model[1]
+      id: model.id,
+      modelType: model.modelType,
+      resolution: [width, height],
+      filename: model.file,
+      expectedSize: model.expectedSize,
+      sha256: model.sha256 || null,
+      priority: model.priority,
+      name: model.file,
+      resizeMode: this.resizeModeOverrides.get(model.file) || model.resizeMode || DEFAULT_RESIZE_MODE,
+      outputFormat: model.outputFormat,
+      labels: model.labels || null,
+      keypoints: model.keypoints || DEFAULT_KEYPOINT_COUNT, // Per detection, for pose models
+      thresholds: model.thresholds || {},
+      normalization: model.normalization || null,
+      topK: model.topK || 5,
+      softmax: model.softmax, // undefined means detect whether outputs are already probabilities
+      nms: model.nms || (model.thresholds?.iou !== undefined ? { iouThreshold: model.thresholds.iou } : null)
     };
   }
 
+  /**
+   * Load the label set the current model references
+   * @returns {Promise<LabelSet>}
+   */
+  async loadCurrentLabels() {
+    await this.loadManifest();
+    const ref = this.getCurrentModelConfig().labels || BUILTIN_LABEL_SET;
+    
+    if (!this.labelSets.has(ref)) {
+      const labels = ref === BUILTIN_LABEL_SET
+        ? LabelSet.builtin()
+        : LabelSet.parse(await this.assetManager.loadLabelFile(ref), ref);
+      console.log(`🏷️ Label set ${ref}: ${labels.size} classes`);
+      this.labelSets.set(ref, labels);
+    }
+    
+    this.currentLabels = this.labelSets.get(ref);
+    return this.currentLabels;
+  }
+
+  /**
+   * Override how camera frames are fitted into the current model's input
+   * @param {string} mode - 'stretch', 'letterbox' or 'crop'
+   */
+  setResizeMode(mode) {
+    if (!RESIZE_MODES.includes(mode)) {
+      throw new Error(`Unsupported resize mode: ${mode}`);
+    }
+    this.resizeModeOverrides.set(this.getCurrentModelConfig().filename, mode);
+  }
+
   async loadCurrentModel() {
+    await this.loadManifest();
     const config = this.getCurrentModelConfig();
     
     try {
       this.isLoading = true;
       console.log(`🚀 Loading model: ${config.filename}`);
       
-      // Check if model is already cached
-      const cacheKey = config.filename;
+      // Labels are small, so load them first and fail fast on a bad label file
+      await this.loadCurrentLabels();
+      
+      const capabilities = await probeExecutionProviders();
+      const candidates = getProviderCandidates(
+        this.executionProvider,
+        capabilities.available,
+        this.getFailedProviders(config.filename)
+      );
+      
+      // Auto keeps the provider that won an earlier warm-up timing for this model
+      const fastest = this.fastestProviders.get(config.filename);
+      if (this.executionProvider === 'auto' && candidates.includes(fastest)) {
+        candidates.splice(candidates.indexOf(fastest), 1);
+        candidates.unshift(fastest);
+      }
+      
+      // Check if model is already cached for the preferred provider
+      const cacheKey = `${config.filename}@${candidates[0]}`;
       if (this.loadedModels.has(cacheKey)) {
-        console.log(`📋 Using cached model: ${config.filename}`);
+        console.log(`📋 Using cached model: ${config.filename} (${candidates[0]})`);
         this.currentSession = this.loadedModels.get(cacheKey);
+        this.activeProvider = candidates[0];
         return this.currentSession;
       }
       
-      // Get model URL with CDN-first, local fallback strategy
-      const modelUrl = await this.assetManager.loadAsset('models', config.filename, {
+      // Download once (CDN first, local fallback); these bytes are hashed and given to every session
+      const { bytes, url } = await this.assetManager.fetchAsset('models', config.filename, {
         expectedSize: config.expectedSize
       });
       
-      console.log(`📦 Model URL resolved: ${modelUrl}`);
+      console.log(`📦 Model downloaded: ${url}`);
+      
+      // Verify the download against the manifest hash before handing it to ONNX Runtime
+      if (config.sha256) {
+        await this.verifyModelHash(bytes, config);
+      }
+      
       console.log(`⚙️ Creating ONNX session...`);
       
       // Set ONNX Runtime configuration  
-      ort.env.wasm.wasmPaths = './js/';
+      ort.env.wasm.wasmPaths = getWasmPaths(this.wasmPaths);
       
-      // Create ONNX inference session
-      this.currentSession = await ort.InferenceSession.create(modelUrl, {
-        executionProviders: ['wasm'],
-        graphOptimizationLevel: 'all',
-      });
+      // Create ONNX inference session: Auto times each provider the first time, otherwise the first that works
+      const modelBytes = new Uint8Array(bytes);
+      const [session, provider] = this.executionProvider === 'auto' && !fastest && candidates.length > 1
+        ? await this.createFastestSession(modelBytes, config, candidates)
+        : await this.createSession(modelBytes, config.filename, candidates);
+      this.currentSession = session;
+      this.activeProvider = provider;
       
       // Check memory pressure before caching
       this.manageMemoryPressure();
       
       // Cache the loaded model
-      this.loadedModels.set(cacheKey, this.currentSession);
+      this.loadedModels.set(`${config.filename}@${provider}`, this.currentSession);
       
-      console.log(`✅ Model loaded successfully: ${config.filename}`);
+      console.log(`✅ Model loaded successfully: ${config.filename} on ${provider}`);
       console.log('📥 Input names:', this.currentSession.inputNames);
       console.log('📤 Output names:', this.currentSession.outputNames);
       
@@ -95,6 +209,156 @@ export class ModelManager {
     }
   }
 
+  /**
+   * Check downloaded model bytes against their manifest SHA-256
+   * @param {ArrayBuffer} bytes - The model as downloaded
+   */
+  async verifyModelHash(bytes, config) {
+    if (!globalThis.crypto || !crypto.subtle) {
+      console.warn(`⚠️ SubtleCrypto unavailable (insecure context?), skipping hash check for ${config.filename}`);
+      return;
+    }
+    
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    const actual = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    if (actual !== config.sha256.toLowerCase()) {
+      // Git LFS pointer files are the usual culprit in a fresh checkout
+      throw new Error(`Hash mismatch for ${config.filename} (${bytes.byteLength} bytes). ` +
+        'Make sure the model was downloaded completely (git lfs pull).');
+    }
+  }
+
+  /**
+   * Create a session, trying each execution provider in turn
+   * @returns {Promise<[Object, string]>} - The session and the provider it runs on
+   */
+  async createSession(modelSource, filename, candidates) {
+    let lastError = null;
+    
+    for (const provider of candidates) {
+      try {
+        const session = await ort.InferenceSession.create(modelSource, {
+          executionProviders: [provider],
+          graphOptimizationLevel: 'all',
+        });
+        return [session, provider];
+      } catch (error) {
+        console.warn(`⚠️ ${provider} session creation failed for ${filename}:`, error.message);
+        this.markProviderFailed(filename, provider);
+        lastError = error;
+      }
+    }
+    
+    throw lastError || new Error('No execution provider available');
+  }
+
+  /**
+   * Create a session on every candidate provider, time a warm-up run on each
+   * and keep the fastest; the others are released
+   * @returns {Promise<[Object, string]>} - The session and the provider it runs on
+   */
+  async createFastestSession(modelBytes, config, candidates) {
+    const timed = [];
+    let lastError = null;
+    
+    for (const provider of candidates) {
+      let session = null;
+      try {
+        session = await ort.InferenceSession.create(modelBytes, {
+          executionProviders: [provider],
+          graphOptimizationLevel: 'all',
+        });
+        const elapsed = await this.timeWarmUpRun(session, config);
+        console.log(`⏱️ ${provider} warm-up run for ${config.filename}: ${elapsed.toFixed(1)} ms`);
+        timed.push({ provider, session, elapsed });
+      } catch (error) {
+        console.warn(`⚠️ ${provider} failed warm-up for ${config.filename}:`, error.message);
+        this.markProviderFailed(config.filename, provider);
+        session?.release().catch(() => {});
+        lastError = error;
+      }
+    }
+    
+    if (timed.length === 0) {
+      throw lastError || new Error('No execution provider available');
+    }
+    
+    timed.sort((a, b) => a.elapsed - b.elapsed);
+    const [fastest, ...slower] = timed;
+    for (const { provider, session } of slower) {
+      session.release().catch((error) => {
+        console.warn(`⚠️ Failed to release ${provider} session for ${config.filename}:`, error.message);
+      });
+    }
+    
+    this.fastestProviders.set(config.filename, fastest.provider);
+    return [fastest.session, fastest.provider];
+  }
+
+  /**
+   * Run a blank frame through a session twice and time the second run;
+   * the first one compiles shaders and allocates buffers
+   * @returns {Promise<number>} - Milliseconds for the timed run
+   */
+  async timeWarmUpRun(session, config) {
+    const [width, height] = config.resolution;
+    const input = new ort.Tensor('float32', new Float32Array(3 * width * height), [1, 3, height, width]);
+    const feeds = { [session.inputNames[0]]: input };
+    
+    await session.run(feeds);
+    const start = performance.now();
+    await session.run(feeds);
+    return performance.now() - start;
+  }
+
+  getFailedProviders(filename) {
+    return this.failedProviders.get(filename) || new Set();
+  }
+
+  markProviderFailed(filename, provider) {
+    if (!this.failedProviders.has(filename)) {
+      this.failedProviders.set(filename, new Set());
+    }
+    this.failedProviders.get(filename).add(provider);
+    
+    // Free the failed session's WASM/GL memory rather than just dropping the reference
+    const cacheKey = `${filename}@${provider}`;
+    const session = this.loadedModels.get(cacheKey);
+    if (session) {
+      this.loadedModels.delete(cacheKey);
+      session.release().catch((error) => {
+        console.warn(`⚠️ Failed to release ${provider} session for ${filename}:`, error.message);
+      });
+    }
+  }
+
+  /**
+   * Choose the execution provider; call loadCurrentModel afterwards to apply it
+   * @param {string} preference - 'auto', 'webgpu', 'webgl' or 'wasm'
+   */
+  setExecutionProvider(preference) {
+    if (preference !== 'auto' && !EXECUTION_PROVIDERS.includes(preference)) {
+      throw new Error(`Unsupported execution provider: ${preference}`);
+    }
+    this.executionProvider = preference;
+    
+    // An explicit choice deserves a fresh attempt even if it failed before
+    if (preference !== 'auto') {
+      for (const failed of this.failedProviders.values()) {
+        failed.delete(preference);
+      }
+    }
+  }
+
+  async getExecutionProviderInfo() {
+    const capabilities = await probeExecutionProviders();
+    return {
+      preference: this.executionProvider,
+      active: this.activeProvider,
+      available: capabilities.available
+    };
+  }
+
   /**
    * Attempt fallback loading strategies
    */
@@ -135,10 +399,10 @@ export class ModelManager {
   findSmallestAvailableModel() {
     // Sort by expected size and return the index of the smallest
     let smallestIndex = 0;
-    let smallestSize = this.RES_TO_MODEL[0][2];
+    let smallestSize = this.models[0].expectedSize;
     
-    for (let i = 1; i < this.RES_TO_MODEL.length; i++) {
-      const size = this.RES_TO_MODEL[i][2];
+    for (let i = 1; i < this.models.length; i++) {
+      const size = this.models[i].expectedSize;
       if (size < smallestSize) {
         smallestSize = size;
         smallestIndex = i;
@@ -148,9 +412,17 @@ export class ModelManager {
     return smallestIndex;
   }
 
+  /**
+   * Advance to the next model without loading it (used when a worker owns the session)
+   */
+  selectNextModel() {
+    this.currentModelIndex = (this.currentModelIndex + 1) % this.models.length;
+    return this.getCurrentModelConfig();
+  }
+
   async switchToNextModel() {
     // Move to next model in the array
-    this.currentModelIndex = (this.currentModelIndex + 1) % this.RES_TO_MODEL.length;
+    this.selectNextModel();
     
     // Load the new model
     await this.loadCurrentModel();
@@ -158,7 +430,11 @@ export class ModelManager {
     return this.getCurrentModelConfig();
   }
 
-  async runInference(preprocessedData) {
+  /**
+   * Run the current session on a preprocessed input tensor
+   * @returns {Promise<Array>} - [output tensors in session.outputNames order, inference time in ms]
+   */
+  async runInference(preprocessedData, isRetry = false) {
     if (!this.currentSession) {
       throw new Error('No model loaded');
     }
@@ -172,10 +448,20 @@ export class ModelManager {
       const end = Date.now();
       
       const inferenceTime = end - start;
-      const output = outputData[this.currentSession.outputNames[0]];
+      // Every output, in session order (segmentation models add mask prototypes)
+      const outputs = this.currentSession.outputNames.map(name => outputData[name]);
       
-      return [output, inferenceTime];
+      return [outputs, inferenceTime];
     } catch (error) {
+      // Some providers only reject unsupported operators at run time
+      if (!isRetry && this.activeProvider && this.activeProvider !== 'wasm') {
+        const { filename } = this.getCurrentModelConfig();
+        console.warn(`⚠️ Inference failed on ${this.activeProvider}, switching provider:`, error.message);
+        this.markProviderFailed(filename, this.activeProvider);
+        await this.loadCurrentModel();
+        return this.runInference(preprocessedData, true);
+      }
+      
       console.error('Inference failed:', error);
       throw new Error(`Inference failed: ${error.message}`);
     }
@@ -200,23 +486,23 @@ export class ModelManager {
    * Preload high-priority models
    */
   async preloadModels() {
-    const highPriorityModels = this.RES_TO_MODEL
-      .map((model, index) => ({ ...model, index }))
-      .filter(model => model[3] === 'high') // Filter by priority
-      .sort((a, b) => a[2] - b[2]); // Sort by size (smallest first)
+    await this.loadManifest();
+    const highPriorityModels = this.models
+      .filter(model => model.priority === 'high') // Filter by priority
+      .sort((a, b) => a.expectedSize - b.expectedSize); // Sort by size (smallest first)
     
     console.log(`🚀 Preloading ${highPriorityModels.length} high-priority models...`);
     
     const results = [];
     for (const model of highPriorityModels) {
       try {
-        await this.assetManager.loadAsset('models', model[1], {
-          expectedSize: model[2]
+        await this.assetManager.loadAsset('models', model.file, {
+          expectedSize: model.expectedSize
         });
-        results.push({ filename: model[1], success: true });
+        results.push({ filename: model.file, success: true });
       } catch (error) {
-        console.warn(`⚠️ Failed to preload ${model[1]}:`, error.message);
-        results.push({ filename: model[1], success: false, error: error.message });
+        console.warn(`⚠️ Failed to preload ${model.file}:`, error.message);
+        results.push({ filename: model.file, success: false, error: error.message });
       }
     }
     
@@ -261,6 +547,7 @@ export class ModelManager {
     const info = {
       cachedModels: this.loadedModels.size,
       currentModel: this.getCurrentModelConfig().filename,
+      executionProvider: this.activeProvider,
       loadingStats: this.getLoadingStats()
     };
     
@@ -275,4 +562,38 @@ export class ModelManager {
     
     return info;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Check a manifest entry has the fields the pipeline relies on
+ */
+function validateManifestEntry(entry, index) {
+  const where = `Model manifest entry ${index}${entry && entry.file ? ` (${entry.file})` : ''}`;
+  
+  if (!entry || typeof entry.file !== 'string') {
+    throw new Error(`${where} is missing "file"`);
+  }
+  if (!Array.isArray(entry.inputShape) || entry.inputShape.length !== 4) {
+    throw new Error(`${where} needs "inputShape" as [batch, channels, height, width]`);
+  }
+  if (typeof entry.outputFormat !== 'string' && entry.modelType !== 'classify') {
+    throw new Error(`${where} is missing "outputFormat"`);
+  }
+  if (entry.modelType && !MODEL_TYPES.includes(entry.modelType)) {
+    throw new Error(`${where} has unsupported "modelType": ${entry.modelType}`);
+  }
+  if (entry.resizeMode && !RESIZE_MODES.includes(entry.resizeMode)) {
+    throw new Error(`${where} has unsupported "resizeMode": ${entry.resizeMode}`);
+  }
+  if (entry.keypoints !== undefined && !(Number.isInteger(entry.keypoints) && entry.keypoints > 0)) {
+    throw new Error(`${where} needs "keypoints" as a positive integer`);
+  }
+  
+  return {
+    id: entry.id || entry.file.replace(/\.onnx$/, ''),
+    modelType: 'detect',
+    priority: 'medium',
+    expectedSize: 0,
+    ...entry
+  };
+}
@@ -0,0 +1,90 @@
+// Non-maximum suppression over candidate buffers (see decoders.js)
+import { createCandidateBuffer, copyCandidate } from './decoders.js';
+
+export const DEFAULT_NMS_OPTIONS = {
+  iouThreshold: 0.45,
+  maxDetections: 300,
+  classAgnostic: false,
+  // Only the highest-scoring candidates are considered, to bound the O(n²) pass
+  maxCandidates: 3000
+};
+
+/**
+ * Greedy non-maximum suppression
+ * @param {Object} candidates - Candidate buffer (see decoders.js)
+ * @param {Object} options - { iouThreshold, maxDetections, classAgnostic, maxCandidates }
+ * @returns {Object} - New candidate buffer holding the kept boxes, highest score first
+ */
+export function nonMaxSuppression(candidates, options = {}) {
+  const { iouThreshold, maxDetections, classAgnostic, maxCandidates } = {
+    ...DEFAULT_NMS_OPTIONS,
+    ...options
+  };
+  const { boxes, scores, classIds } = candidates;
+
+  // Sort candidate indices by descending score
+  let order = new Uint32Array(candidates.count);
+  for (let i = 0; i < order.length; i++) {
+    order[i] = i;
+  }
+  order.sort((a, b) => scores[b] - scores[a]);
+  if (order.length > maxCandidates) {
+    order = order.subarray(0, maxCandidates);
+  }
+
+  const count = order.length;
+  const areas = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    const b = order[i] * 4;
+    areas[i] = Math.max(0, boxes[b + 2] - boxes[b]) * Math.max(0, boxes[b + 3] - boxes[b + 1]);
+  }
+
+  const suppressed = new Uint8Array(count);
+  const kept = new Uint32Array(Math.min(count, maxDetections));
+  let keptCount = 0;
+
+  for (let i = 0; i < count && keptCount < maxDetections; i++) {
+    if (suppressed[i]) {
+      continue;
+    }
+
+    const a = order[i];
+    kept[keptCount++] = a;
+
+    const ax0 = boxes[a * 4];
+    const ay0 = boxes[a * 4 + 1];
+    const ax1 = boxes[a * 4 + 2];
+    const ay1 = boxes[a * 4 + 3];
+
+    for (let j = i + 1; j < count; j++) {
+      if (suppressed[j]) {
+        continue;
+      }
+
+      const b = order[j];
+      if (!classAgnostic && classIds[a] !== classIds[b]) {
+        continue;
+      }
+
+      const iw = Math.min(ax1, boxes[b * 4 + 2]) - Math.max(ax0, boxes[b * 4]);
+      if (iw <= 0) continue;
+      const ih = Math.min(ay1, boxes[b * 4 + 3]) - Math.max(ay0, boxes[b * 4 + 1]);
+      if (ih <= 0) continue;
+
+      const intersection = iw * ih;
+      const iou = intersection / (areas[i] + areas[j] - intersection);
+      if (iou > iouThreshold) {
+        suppressed[j] = 1;
+      }
+    }
+  }
+
+  // Compact the kept boxes into a new buffer
+  const result = createCandidateBuffer(keptCount, candidates);
+  for (let k = 0; k < keptCount; k++) {
+    copyCandidate(candidates, kept[k], result, k);
+  }
+  result.count = keptCount;
+
+  return result;
+}
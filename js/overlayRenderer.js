@@ -0,0 +1,177 @@
+// Draws structured detections onto the overlay canvas
+import { skeletonFor } from './keypoints.js';
+
+// Per-class mask colors for classes without a label color (Ultralytics palette)
+const CLASS_PALETTE = [
+  '#ff3838', '#ff9d97', '#ff701f', '#ffb21d', '#cff231', '#48f90a', '#92cc17',
+  '#3ddb86', '#1a9334', '#00d4bb', '#2c99a8', '#00c2ff', '#344593', '#6473ff',
+  '#0018ec', '#8438ff', '#520085', '#cb38ff', '#ff95c8', '#ff37c7'
+];
+
+const MASK_OPACITY = 0.45;
+
+export class OverlayRenderer {
+  /**
+   * @param {Function} conf2color - Maps a 0-1 confidence to a CSS rgb() color
+   */
+  constructor(conf2color) {
+    this.conf2color = conf2color;
+    this.maskCanvas = null; // Scratch canvas for colorizing masks
+  }
+
+  clear(ctx) {
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+  }
+
+  /**
+   * Clear the canvas and draw every detection's display-space box
+   * @param {CanvasRenderingContext2D} ctx - Overlay context
+   * @param {Object[]} detections - Detections from PostProcessor.postprocess
+   * @param {Object} options - modelType of the current model ('detect', 'segment' or 'pose'),
+   *   background (image drawn under the results, scaled to the canvas)
+   */
+  render(ctx, detections, options = {}) {
+    const modelType = options.modelType || 'detect';
+    this.clear(ctx);
+    if (options.background) {
+      ctx.drawImage(options.background, 0, 0, ctx.canvas.width, ctx.canvas.height);
+    }
+
+    // Responsive styling based on canvas size
+    const canvasWidth = ctx.canvas.width;
+    const lineWidth = Math.max(1, Math.round(canvasWidth / 300));
+    const fontSize = Math.max(10, Math.round(canvasWidth / 40));
+
+    // Masks first so boxes and labels stay readable on top
+    if (modelType === 'segment') {
+      for (const detection of detections) {
+        if (detection.mask) {
+          this.drawMask(ctx, detection);
+        }
+      }
+    }
+
+    for (const detection of detections) {
+      this.drawBox(ctx, detection, lineWidth, fontSize);
+    }
+
+    if (modelType === 'pose') {
+      for (const detection of detections) {
+        if (detection.keypoints) {
+          this.drawSkeleton(ctx, detection.keypoints, lineWidth);
+        }
+      }
+    }
+  }
+
+  /**
+   * Draw visible keypoints and the limbs between them
+   */
+  drawSkeleton(ctx, keypoints, lineWidth) {
+    const radius = lineWidth + 2;
+
+    ctx.save();
+    ctx.lineWidth = lineWidth + 1;
+    ctx.lineCap = 'round';
+    ctx.strokeStyle = 'rgba(0, 200, 255, 0.9)';
+    ctx.beginPath();
+    for (const [a, b] of skeletonFor(keypoints.length)) {
+      const from = keypoints[a];
+      const to = keypoints[b];
+      if (!from || !to || !from.visible || !to.visible) continue;
+      ctx.moveTo(from.display.x, from.display.y);
+      ctx.lineTo(to.display.x, to.display.y);
+    }
+    ctx.stroke();
+
+    for (const keypoint of keypoints) {
+      if (!keypoint.visible) continue;
+      ctx.fillStyle = this.conf2color(keypoint.score);
+      ctx.beginPath();
+      ctx.arc(keypoint.display.x, keypoint.display.y, radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Draw an instance mask as a translucent, class-colored region
+   */
+  drawMask(ctx, detection) {
+    const { width, height, data, box } = detection.mask;
+
+    if (!this.maskCanvas) {
+      this.maskCanvas = document.createElement('canvas');
+    }
+    const canvas = this.maskCanvas;
+    canvas.width = width;
+    canvas.height = height;
+    const maskCtx = canvas.getContext('2d');
+
+    // Mask cells become alpha, then the class color is painted through them
+    const image = maskCtx.createImageData(width, height);
+    for (let i = 0; i < data.length; i++) {
+      image.data[i * 4 + 3] = data[i];
+    }
+    maskCtx.putImageData(image, 0, 0);
+    maskCtx.globalCompositeOperation = 'source-in';
+    maskCtx.fillStyle = this.classColor(detection);
+    maskCtx.fillRect(0, 0, width, height);
+    maskCtx.globalCompositeOperation = 'source-over';
+
+    const { x0, y0, x1, y1 } = box.display;
+    ctx.save();
+    ctx.globalAlpha = MASK_OPACITY;
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(canvas, x0, y0, x1 - x0, y1 - y0);
+    ctx.restore();
+  }
+
+  classColor(detection) {
+    return detection.color || CLASS_PALETTE[detection.classId % CLASS_PALETTE.length];
+  }
+
+  drawBox(ctx, detection, lineWidth, fontSize) {
+    const { x0, y0, x1, y1 } = detection.box.display;
+
+    // Round for pixel alignment
+    const rectX = Math.round(x0);
+    const rectY = Math.round(y0);
+    const rectWidth = Math.round(x1 - x0);
+    const rectHeight = Math.round(y1 - y0);
+
+    // Label sets may pin a color per class; otherwise color by confidence
+    const color = detection.color || this.conf2color(detection.score);
+
+    // Draw bounding box
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
+    ctx.strokeRect(rectX, rectY, rectWidth, rectHeight);
+
+    // Draw label
+    ctx.font = `${fontSize}px Arial`;
+    ctx.fillStyle = color;
+
+    // Smart label positioning
+    const labelY = rectY > fontSize + 5 ? rectY - 5 : rectY + fontSize + 5;
+    ctx.fillText(this.formatLabel(detection), rectX, labelY);
+
+    // Draw semi-transparent fill (globalAlpha works for any CSS color format)
+    ctx.save();
+    ctx.globalAlpha = 0.15;
+    ctx.fillRect(rectX, rectY, rectWidth, rectHeight);
+    ctx.restore();
+  }
+
+  formatLabel(detection) {
+    const score = Math.round(detection.score * 1000) / 10;
+    const label = `${detection.label} ${score}%`;
+
+    // Tracked detections carry a persistent ID and how long they've been seen
+    if (detection.trackId !== undefined) {
+      const age = (detection.trackAge / 1000).toFixed(1);
+      return `#${detection.trackId} ${label} ${age}s`;
+    }
+    return label;
+  }
+}
@@ -1,184 +1,330 @@
 // Postprocessing functions for different YOLO models
-import { yoloClasses } from '../data/yolo_classes.js';
+import { modelToSource } from './resize.js';
+import { DecoderRegistry, copyCandidate } from './decoders.js';
+import { nonMaxSuppression } from './nms.js';
+import { DEFAULT_CONFIDENCE_THRESHOLD } from './detectionFilter.js';
+import { LabelSet } from './labels.js';
+import { buildInstanceMask } from './masks.js';
+import { keypointNames, DEFAULT_KEYPOINT_THRESHOLD } from './keypoints.js';
 
 export class PostProcessor {
   constructor() {
-    // No dependencies needed
+    // Output decoders keyed by format (see decoders.js)
+    this.decoderRegistry = new DecoderRegistry();
+
+    // Used when the caller doesn't pass the model's own label set
+    this.defaultLabels = LabelSet.builtin();
+  }
+
+  /**
+   * Register a decoder for a new output format
+   */
+  registerDecoder(format, decoder) {
+    this.decoderRegistry.register(format, decoder);
   }
 
-  // Main postprocessing dispatcher
-  postprocess(tensor, inferenceTime, ctx, modelResolution, modelName, conf2color, displayDimensions) {
+  /**
+   * Decode model outputs into structured detections
+   * @param {Object|Object[]} outputs - Output tensors in session order (or just the first);
+   *   segmentation models have mask prototypes as the second output
+   * @param {number[]} modelResolution - [width, height] of the model input
+   * @param {string} modelName - Model filename, used to infer the output format
+   * @param {Object} displayDimensions - { width, height } of the overlay
+   * @param {Object} options - transform (resize transform used during preprocessing),
+   *   outputFormat (decoder key, inferred when omitted), nms (NMS overrides for raw-output
+   *   models), filter (DetectionFilter with thresholds and class lists), labels (LabelSet),
+   *   keypointCount (keypoints per detection for pose models, 17 when omitted)
+   * @returns {Object[]} - Detections as { classId, label, color, score, box: { model, source, display } },
+   *   plus mask: { width, height, data, box } for segmentation models and
+   *   keypoints: [{ name, score, visible, model, source, display }] for pose models
+   */
+  postprocess(outputs, modelResolution, modelName, displayDimensions, options = {}) {
+    const [tensor, secondOutput] = Array.isArray(outputs) ? outputs : [outputs];
+    // Mask prototypes are [1, K, mh, mw]
+    const protos = secondOutput && secondOutput.dims.length === 4 ? secondOutput : null;
+
     // Validate inputs
-    if (!tensor || !ctx || !modelResolution || !modelName || !conf2color) {
+    if (!tensor || !modelResolution || !modelName) {
       console.warn('Invalid postprocessing parameters:', {
         tensor: !!tensor,
-        ctx: !!ctx,
         modelResolution: !!modelResolution,
-        modelName: !!modelName,
-        conf2color: !!conf2color
+        modelName: !!modelName
       });
-      return;
+      return [];
     }
-    
+
     if (!tensor.data || tensor.data.length === 0) {
       console.warn('Empty tensor data received');
-      return;
+      return [];
     }
-    
+
     try {
       // Different YOLO versions have different output formats
-      if (modelName === 'yolov10n.onnx') {
-        this.postprocessYolov10(ctx, modelResolution, tensor, conf2color, displayDimensions);
-      } else {
-        this.postprocessYolov7(ctx, modelResolution, tensor, conf2color, displayDimensions);
+      const format = options.outputFormat || this.decoderRegistry.inferFormat(modelName, tensor, protos);
+      const decoder = this.decoderRegistry.get(format);
+
+      const filter = options.filter || null;
+      let candidates = decoder.decode(tensor, {
+        scoreThreshold: filter ? filter.getMinThreshold() : DEFAULT_CONFIDENCE_THRESHOLD,
+        maskChannels: protos ? protos.dims[1] : 0,
+        keypointCount: options.keypointCount
+      });
+
+      // Apply class lists and per-class thresholds before suppression
+      if (filter) {
+        this.filterCandidates(candidates, filter);
+      }
+
+      // Raw heads emit overlapping candidates; end-to-end exports are already suppressed
+      if (decoder.requiresNms) {
+        candidates = nonMaxSuppression(candidates, options.nms);
       }
+
+      return this.buildDetections(candidates, modelResolution, displayDimensions, {
+        transform: options.transform,
+        labels: options.labels,
+        protos,
+        keypointThreshold: filter ? filter.keypointThreshold : DEFAULT_KEYPOINT_THRESHOLD
+      });
     } catch (error) {
       console.error('Postprocessing failed:', error);
-      // Clear canvas on error
-      ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+      return [];
     }
   }
 
-  // Postprocessing for YOLOv10 models
-  postprocessYolov10(ctx, modelResolution, tensor, conf2color, displayDimensions) {
-    // Clear canvas
-    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-
-    // Get canvas dimensions (should match display dimensions)
-    const canvasWidth = ctx.canvas.width;
-    const canvasHeight = ctx.canvas.height;
-    
-    // Calculate scaling from model resolution to canvas size
-    const scaleX = canvasWidth / modelResolution[0];
-    const scaleY = canvasHeight / modelResolution[1];
+  /**
+   * Decode classifier outputs into the top-k classes
+   * @param {Object|Object[]} outputs - Output tensors; the first holds one score per class
+   * @param {Object} options - topK, labels (LabelSet), softmax (true, false, or undefined to
+   *   apply it only when the scores are not already probabilities), filter (DetectionFilter)
+   * @returns {Object[]} - [{ classId, label, color, score }], highest score first
+   */
+  classify(outputs, options = {}) {
+    const [tensor] = Array.isArray(outputs) ? outputs : [outputs];
+    if (!tensor || !tensor.data || tensor.data.length === 0) {
+      console.warn('Empty classifier output received');
+      return [];
+    }
 
-    let x0, y0, x1, y1, cls_id, score;
+    const labels = options.labels || this.defaultLabels;
+    const filter = options.filter || null;
+    const topK = options.topK || 5;
+    const applySoftmax = options.softmax ?? !isProbabilityVector(tensor.data);
+    const scores = applySoftmax ? softmax(tensor.data) : tensor.data;
 
-    for (let i = 0; i < tensor.dims[1]; i += 6) {
-      [x0, y0, x1, y1, score, cls_id] = tensor.data.slice(i, i + 6);
+    // Keep the best k allowed classes with a small insertion sort
+    const top = [];
+    for (let classId = 0; classId < scores.length; classId++) {
+      const score = scores[classId];
+      if (filter && !filter.isClassAllowed(classId)) continue;
+      if (top.length === topK && score <= top[topK - 1].score) continue;
 
-      if (score < 0.25) {
-        break;
+      let position = top.length;
+      while (position > 0 && top[position - 1].score < score) {
+        position--;
       }
+      top.splice(position, 0, { classId, score });
+      if (top.length > topK) {
+        top.pop();
+      }
+    }
+
+    return top.map(({ classId, score }) => ({
+      classId,
+      label: labels.getDisplayName(classId),
+      color: labels.getColor(classId),
+      score
+    }));
+  }
 
-      // Ensure cls_id is within bounds
-      cls_id = Math.floor(cls_id);
-      if (cls_id < 0 || cls_id >= yoloClasses.length) {
-        console.warn('Invalid class ID:', cls_id);
+  // Drop candidates rejected by the filter, compacting the buffer in place
+  filterCandidates(candidates, filter) {
+    const { scores, classIds } = candidates;
+    let kept = 0;
+
+    for (let i = 0; i < candidates.count; i++) {
+      if (!filter.accepts(classIds[i], scores[i])) {
         continue;
       }
-
-      // Transform coordinates from model space to canvas space
-      const scaledX0 = x0 * scaleX;
-      const scaledY0 = y0 * scaleY;
-      const scaledX1 = x1 * scaleX;
-      const scaledY1 = y1 * scaleY;
-
-      // Round for pixel alignment
-      const rectX = Math.round(scaledX0);
-      const rectY = Math.round(scaledY0);
-      const rectWidth = Math.round(scaledX1 - scaledX0);
-      const rectHeight = Math.round(scaledY1 - scaledY0);
-
-      // Format score
-      score = Math.round(score * 1000) / 10;
-      const className = yoloClasses[cls_id];
-      const label = className.charAt(0).toUpperCase() + className.substring(1) + ' ' + score + '%';
-      const color = conf2color(score / 100);
-
-      // Responsive styling based on canvas size
-      const lineWidth = Math.max(1, Math.round(canvasWidth / 300));
-      const fontSize = Math.max(10, Math.round(canvasWidth / 40));
-
-      // Draw bounding box
-      ctx.strokeStyle = color;
-      ctx.lineWidth = lineWidth;
-      ctx.strokeRect(rectX, rectY, rectWidth, rectHeight);
-      
-      // Draw label
-      ctx.font = `${fontSize}px Arial`;
-      ctx.fillStyle = color;
-      
-      // Smart label positioning
-      const labelY = rectY > fontSize + 5 ? rectY - 5 : rectY + fontSize + 5;
-      ctx.fillText(label, rectX, labelY);
-
-      // Draw semi-transparent fill
-      ctx.fillStyle = color.replace(')', ', 0.15)').replace('rgb', 'rgba');
-      ctx.fillRect(rectX, rectY, rectWidth, rectHeight);
+      if (kept !== i) {
+        copyCandidate(candidates, i, candidates, kept);
+      }
+      kept++;
     }
+
+    candidates.count = kept;
+    return candidates;
   }
 
-  // Postprocessing for YOLOv7 models
-  postprocessYolov7(ctx, modelResolution, tensor, conf2color, displayDimensions) {
-    // Clear canvas
-    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-
-    // Get canvas dimensions (should match display dimensions)
-    const canvasWidth = ctx.canvas.width;
-    const canvasHeight = ctx.canvas.height;
-    
-    // Calculate scaling from model resolution to canvas size
-    const scaleX = canvasWidth / modelResolution[0];
-    const scaleY = canvasHeight / modelResolution[1];
-
-    let batch_id, x0, y0, x1, y1, cls_id, score;
-    
-    for (let i = 0; i < tensor.dims[0]; i++) {
-      [batch_id, x0, y0, x1, y1, cls_id, score] = tensor.data.slice(
-        i * 7,
-        i * 7 + 7
-      );
-
-      if (score < 0.25) {
+  // Turn a candidate buffer into detection objects with boxes in every space
+  buildDetections(candidates, modelResolution, displayDimensions, options = {}) {
+    const transform = options.transform || null;
+    const labels = options.labels || this.defaultLabels;
+    const protos = options.protos || null;
+    const displayWidth = displayDimensions?.width || modelResolution[0];
+    const displayHeight = displayDimensions?.height || modelResolution[1];
+    const { boxes, scores, classIds } = candidates;
+    const detections = [];
+
+    for (let i = 0; i < candidates.count; i++) {
+      const classId = classIds[i];
+
+      // Ensure class ID is within bounds
+      if (!labels.has(classId)) {
+        console.warn('Invalid class ID:', classId);
         continue;
       }
 
-      // Ensure cls_id is within bounds
-      cls_id = Math.floor(cls_id);
-      if (cls_id < 0 || cls_id >= yoloClasses.length) {
-        console.warn('Invalid class ID:', cls_id);
-        continue;
+      const x0 = boxes[i * 4];
+      const y0 = boxes[i * 4 + 1];
+      const x1 = boxes[i * 4 + 2];
+      const y1 = boxes[i * 4 + 3];
+
+      const detection = {
+        classId,
+        label: labels.getDisplayName(classId),
+        color: labels.getColor(classId), // null means color by confidence
+        score: scores[i],
+        box: {
+          model: { x0, y0, x1, y1 },
+          // Frame pixels; only known when the resize transform is available
+          source: transform
+            ? toBox(this.mapBoxToCanvas(x0, y0, x1, y1,
+              transform.sourceWidth, transform.sourceHeight, modelResolution, transform))
+            : null,
+          display: toBox(this.mapBoxToCanvas(x0, y0, x1, y1,
+            displayWidth, displayHeight, modelResolution, transform))
+        }
+      };
+
+      if (protos && candidates.coefficients) {
+        detection.mask = this.buildMask(candidates, i, protos, modelResolution, displayWidth, displayHeight, transform);
+      }
+      if (candidates.keypoints) {
+        detection.keypoints = this.buildKeypoints(candidates, i, modelResolution, displayWidth, displayHeight,
+          transform, options.keypointThreshold ?? DEFAULT_KEYPOINT_THRESHOLD);
       }
+      detections.push(detection);
+    }
+
+    return detections;
+  }
+
+  // Build one candidate's keypoints, marking low-confidence ones as not visible
+  buildKeypoints(candidates, index, modelResolution, displayWidth, displayHeight, transform, threshold) {
+    const { keypoints, keypointCount } = candidates;
+    const offset = index * keypointCount * 3;
+    const names = keypointNames(keypointCount);
+    const result = [];
+
+    for (let k = 0; k < keypointCount; k++) {
+      const x = keypoints[offset + k * 3];
+      const y = keypoints[offset + k * 3 + 1];
+      const score = keypoints[offset + k * 3 + 2];
+
+      result.push({
+        name: names[k],
+        score,
+        visible: score >= threshold,
+        model: { x, y },
+        source: transform
+          ? toPoint(this.mapBoxToCanvas(x, y, x, y,
+            transform.sourceWidth, transform.sourceHeight, modelResolution, transform))
+          : null,
+        display: toPoint(this.mapBoxToCanvas(x, y, x, y,
+          displayWidth, displayHeight, modelResolution, transform))
+      });
+    }
+
+    return result;
+  }
+
+  // Build one candidate's instance mask, positioned like a detection box
+  buildMask(candidates, index, protos, modelResolution, displayWidth, displayHeight, transform) {
+    const box = candidates.boxes.subarray(index * 4, index * 4 + 4);
+    const mask = buildInstanceMask(candidates.coefficients, index, protos, box, modelResolution);
+    if (!mask) {
+      return null;
+    }
+
+    // Not clamped to the frame: the mask may extend into letterbox padding and must keep its scale
+    const [x0, y0, x1, y1] = mask.rect;
+    return {
+      width: mask.width,
+      height: mask.height,
+      data: mask.data,
+      box: {
+        model: toBox(mask.rect),
+        source: transform
+          ? toBox(this.mapBoxToCanvas(x0, y0, x1, y1,
+            transform.sourceWidth, transform.sourceHeight, modelResolution, transform, false))
+          : null,
+        display: toBox(this.mapBoxToCanvas(x0, y0, x1, y1,
+          displayWidth, displayHeight, modelResolution, transform, false))
+      }
+    };
+  }
+
+  // Map a model-space box to canvas pixels, undoing any letterbox padding or crop
+  mapBoxToCanvas(x0, y0, x1, y1, canvasWidth, canvasHeight, modelResolution, transform, clamp = true) {
+    if (!transform) {
+      // Plain stretch from model resolution to canvas size
+      const scaleX = canvasWidth / modelResolution[0];
+      const scaleY = canvasHeight / modelResolution[1];
+      return [x0 * scaleX, y0 * scaleY, x1 * scaleX, y1 * scaleY];
+    }
+
+    const [sx0, sy0] = modelToSource(x0, y0, transform);
+    const [sx1, sy1] = modelToSource(x1, y1, transform);
+    const scaleX = canvasWidth / transform.sourceWidth;
+    const scaleY = canvasHeight / transform.sourceHeight;
 
-      // Transform coordinates from model space to canvas space
-      const scaledX0 = x0 * scaleX;
-      const scaledY0 = y0 * scaleY;
-      const scaledX1 = x1 * scaleX;
-      const scaledY1 = y1 * scaleY;
-
-      // Round for pixel alignment
-      const rectX = Math.round(scaledX0);
-      const rectY = Math.round(scaledY0);
-      const rectWidth = Math.round(scaledX1 - scaledX0);
-      const rectHeight = Math.round(scaledY1 - scaledY0);
-
-      // Format score
-      score = Math.round(score * 1000) / 10;
-      const className = yoloClasses[cls_id];
-      const label = className.charAt(0).toUpperCase() + className.substring(1) + ' ' + score + '%';
-      const color = conf2color(score / 100);
-
-      // Responsive styling based on canvas size
-      const lineWidth = Math.max(1, Math.round(canvasWidth / 300));
-      const fontSize = Math.max(10, Math.round(canvasWidth / 40));
-
-      // Draw bounding box
-      ctx.strokeStyle = color;
-      ctx.lineWidth = lineWidth;
-      ctx.strokeRect(rectX, rectY, rectWidth, rectHeight);
-      
-      // Draw label
-      ctx.font = `${fontSize}px Arial`;
-      ctx.fillStyle = color;
-      
-      // Smart label positioning
-      const labelY = rectY > fontSize + 5 ? rectY - 5 : rectY + fontSize + 5;
-      ctx.fillText(label, rectX, labelY);
-
-      // Draw semi-transparent fill
-      ctx.fillStyle = color.replace(')', ', 0.15)').replace('rgb', 'rgba');
-      ctx.fillRect(rectX, rectY, rectWidth, rectHeight);
+    if (!clamp) {
+      return [sx0 * scaleX, sy0 * scaleY, sx1 * scaleX, sy1 * scaleY];
     }
+
+    // Clamp to the frame so boxes never extend into the padding
+    return [
+      Math.max(0, sx0) * scaleX,
+      Math.max(0, sy0) * scaleY,
+      Math.min(transform.sourceWidth, sx1) * scaleX,
+      Math.min(transform.sourceHeight, sy1) * scaleY
+    ];
+  }
+}
+
+function toBox([x0, y0, x1, y1]) {
+  return { x0, y0, x1, y1 };
+}
+
+function toPoint([x, y]) {
+  return { x, y };
+}
+
+// Numerically stable softmax over raw logits
+function softmax(logits) {
+  let max = -Infinity;
+  for (let i = 0; i < logits.length; i++) {
+    if (logits[i] > max) max = logits[i];
+  }
+
+  const result = new Float32Array(logits.length);
+  let sum = 0;
+  for (let i = 0; i < logits.length; i++) {
+    result[i] = Math.exp(logits[i] - max);
+    sum += result[i];
+  }
+  for (let i = 0; i < result.length; i++) {
+    result[i] /= sum;
+  }
+  return result;
+}
+
+function isProbabilityVector(values) {
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] < 0 || values[i] > 1) return false;
+    sum += values[i];
   }
-}
\ No newline at end of file
+  return Math.abs(sum - 1) < 1e-3;
+}
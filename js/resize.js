@@ -0,0 +1,85 @@
+// Resize strategies for fitting a camera frame into a model input
+//
+// A transform maps source pixels to model pixels:
+//   modelX = (sourceX - cropX) * scaleX + padX
+//   modelY = (sourceY - cropY) * scaleY + padY
+
+export const RESIZE_MODES = ['stretch', 'letterbox', 'crop'];
+
+// Models stretch unless their manifest entry or the Frame Fit control opts into another mode
+export const DEFAULT_RESIZE_MODE = 'stretch';
+
+// Gray used by the YOLO exporters for letterbox padding
+const LETTERBOX_FILL = 'rgb(114, 114, 114)';
+
+/**
+ * Compute the source-to-model transform for a resize mode
+ * @param {number} sourceWidth - Source frame width in pixels
+ * @param {number} sourceHeight - Source frame height in pixels
+ * @param {number[]} modelResolution - [width, height] of the model input
+ * @param {string} mode - 'stretch', 'letterbox' or 'crop'
+ * @returns {Object} - Transform with scale, padding and crop offsets
+ */
+export function computeResizeTransform(sourceWidth, sourceHeight, modelResolution, mode = DEFAULT_RESIZE_MODE) {
+  const [targetWidth, targetHeight] = modelResolution;
+  const transform = {
+    mode,
+    sourceWidth,
+    sourceHeight,
+    targetWidth,
+    targetHeight,
+    scaleX: targetWidth / sourceWidth,
+    scaleY: targetHeight / sourceHeight,
+    padX: 0,
+    padY: 0,
+    cropX: 0,
+    cropY: 0
+  };
+
+  if (mode === 'letterbox') {
+    const scale = Math.min(transform.scaleX, transform.scaleY);
+    transform.scaleX = transform.scaleY = scale;
+    transform.padX = (targetWidth - sourceWidth * scale) / 2;
+    transform.padY = (targetHeight - sourceHeight * scale) / 2;
+  } else if (mode === 'crop') {
+    const scale = Math.max(transform.scaleX, transform.scaleY);
+    transform.scaleX = transform.scaleY = scale;
+    transform.cropX = (sourceWidth - targetWidth / scale) / 2;
+    transform.cropY = (sourceHeight - targetHeight / scale) / 2;
+  } else if (mode !== 'stretch') {
+    console.warn(`Unknown resize mode "${mode}", falling back to stretch`);
+    transform.mode = 'stretch';
+  }
+
+  return transform;
+}
+
+/**
+ * Draw a source image into a model-sized context using a transform
+ */
+export function drawResized(ctx, source, transform) {
+  const { targetWidth, targetHeight, padX, padY, cropX, cropY } = transform;
+
+  if (padX > 0 || padY > 0) {
+    ctx.fillStyle = LETTERBOX_FILL;
+    ctx.fillRect(0, 0, targetWidth, targetHeight);
+  }
+
+  ctx.drawImage(
+    source,
+    cropX, cropY,
+    transform.sourceWidth - cropX * 2, transform.sourceHeight - cropY * 2,
+    padX, padY,
+    targetWidth - padX * 2, targetHeight - padY * 2
+  );
+}
+
+/**
+ * Map a point from model space back to source pixels
+ */
+export function modelToSource(x, y, transform) {
+  return [
+    (x - transform.padX) / transform.scaleX + transform.cropX,
+    (y - transform.padY) / transform.scaleY + transform.cropY
+  ];
+}
@@ -0,0 +1,121 @@
+// Plain-JSON results for files written by the app
+
+// Bumped when the layout of written results changes
+export const RESULTS_VERSION = 1;
+
+/**
+ * Detection in source-image pixels, without typed arrays or display-only fields
+ * @param {Object} detection - Structured detection (see PostProcessor.postprocess)
+ * @returns {Object} - { classId, label, score, box, trackId?, mask?, keypoints? }
+ */
+export function serializeDetection(detection) {
+  const result = {
+    classId: detection.classId,
+    label: detection.label,
+    score: round(detection.score, 4),
+    box: roundBox(detection.box.source)
+  };
+
+  if (detection.trackId !== undefined) {
+    result.trackId = detection.trackId;
+  }
+
+  // Masks stay at model-input resolution: row-major run lengths, starting with a background run
+  if (detection.mask) {
+    result.mask = {
+      width: detection.mask.width,
+      height: detection.mask.height,
+      box: roundBox(detection.mask.box.source),
+      counts: runLengths(detection.mask.data)
+    };
+  }
+
+  if (detection.keypoints) {
+    result.keypoints = detection.keypoints.map(keypoint => ({
+      name: keypoint.name,
+      score: round(keypoint.score, 4),
+      x: round(keypoint.source.x, 1),
+      y: round(keypoint.source.y, 1)
+    }));
+  }
+
+  return result;
+}
+
+/**
+ * Model details recorded alongside results
+ * @param {Object} config - ModelManager.getCurrentModelConfig()
+ * @param {LabelSet} labels - The model's label set; its names become the class list
+ */
+export function describeModel(config, labels = null) {
+  const model = {
+    id: config.id,
+    name: config.name,
+    modelType: config.modelType,
+    outputFormat: config.outputFormat,
+    resolution: config.resolution,
+    resizeMode: config.resizeMode,
+    labels: config.labels
+  };
+  if (config.modelType === 'pose') {
+    model.keypoints = config.keypoints;
+  }
+  if (labels) {
+    model.classes = labels.entries.map(entry => entry.name);
+  }
+  return model;
+}
+
+/**
+ * Results for a set of images, as written to results files and read by the exporters
+ * @param {Object} model - describeModel(config, labels)
+ * @param {Object} filter - DetectionFilter.toJSON()
+ * @param {Object[]} images - { file, width, height, detections (serialized), ... }
+ */
+export function createResults(model, filter, images) {
+  return {
+    version: RESULTS_VERSION,
+    createdAt: new Date().toISOString(),
+    model,
+    filter,
+    images
+  };
+}
+
+/**
+ * Count detections per label
+ * @param {Object[]} detections - Serialized or structured detections
+ * @param {Object} counts - Counts to add to
+ */
+export function countByLabel(detections, counts = {}) {
+  for (const detection of detections) {
+    counts[detection.label] = (counts[detection.label] || 0) + 1;
+  }
+  return counts;
+}
+
+function runLengths(data) {
+  const counts = [];
+  let current = 0;
+  let run = 0;
+  for (let i = 0; i < data.length; i++) {
+    const value = data[i] ? 1 : 0;
+    if (value !== current) {
+      counts.push(run);
+      current = value;
+      run = 0;
+    }
+    run++;
+  }
+  counts.push(run);
+  return counts;
+}
+
+function roundBox({ x0, y0, x1, y1 }) {
+  return { x0: round(x0, 1), y0: round(y0, 1), x1: round(x1, 1), y1: round(y1, 1) };
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,160 @@
+// Records the camera frame with the detection overlay to WebM, plus a detections track
+import { drawAnnotated } from './snapshot.js';
+import { RESULTS_VERSION, serializeDetection } from './results.js';
+
+// Preferred first; the browser picks the first one it can encode
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+const RECORDING_FPS = 30;
+const CHUNK_INTERVAL = 1000; // ms between dataavailable events, so the size can be shown
+
+export class SessionRecorder {
+  constructor() {
+    this.recorder = null;
+    this.canvas = null;
+    this.context = null;
+    this.chunks = [];
+    this.size = 0;
+    this.startTime = 0;
+    this.frames = []; // { time (ms from start), detections (serialized) }
+    this.drawId = null;
+  }
+
+  static isSupported() {
+    return typeof MediaRecorder !== 'undefined' &&
+      typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+      WEBM_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+  }
+
+  get isRecording() {
+    return !!this.recorder;
+  }
+
+  /**
+   * Start recording a composited copy of a video element
+   * @param {HTMLVideoElement} video - Camera or video file element, recorded at its native size
+   * @param {OverlayRenderer} renderer - The renderer used for the live overlay
+   * @param {Function} getFrameState - () => { detections, modelType } drawn over each frame
+   */
+  start(video, renderer, getFrameState) {
+    if (this.recorder) {
+      throw new Error('Already recording');
+    }
+
+    const mimeType = WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+      throw new Error('This browser cannot record WebM video');
+    }
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = video.videoWidth;
+    this.canvas.height = video.videoHeight;
+    this.context = this.canvas.getContext('2d');
+    this.chunks = [];
+    this.size = 0;
+    this.frames = [];
+
+    // Set the recorder up before compositing starts, so a failure leaves nothing running
+    const stream = this.canvas.captureStream(RECORDING_FPS);
+    let recorder;
+    try {
+      recorder = new MediaRecorder(stream, { mimeType });
+      recorder.addEventListener('dataavailable', (event) => {
+        if (event.data.size > 0) {
+          this.chunks.push(event.data);
+          this.size += event.data.size;
+        }
+      });
+      recorder.start(CHUNK_INTERVAL);
+    } catch (error) {
+      stream.getTracks().forEach(track => track.stop());
+      this.canvas = null;
+      this.context = null;
+      throw error;
+    }
+    this.recorder = recorder;
+    this.startTime = performance.now();
+
+    // Composite on every display frame so the video stays smooth while boxes update at detection rate
+    const draw = () => {
+      const { detections, modelType } = getFrameState();
+      drawAnnotated(this.context, video, detections, renderer, { modelType });
+      this.drawId = requestAnimationFrame(draw);
+    };
+    draw();
+    console.log(`⏺️ Recording ${this.canvas.width}×${this.canvas.height} as ${mimeType}`);
+  }
+
+  /**
+   * Add a detection result to the sidecar track
+   * @param {Object[]} detections - Structured detections for the frame just processed
+   */
+  addDetections(detections) {
+    if (!this.recorder) return;
+
+    this.frames.push({
+      time: Math.round(this.getDuration()),
+      detections: detections.map(serializeDetection)
+    });
+  }
+
+  // Milliseconds since recording started
+  getDuration() {
+    return this.recorder ? performance.now() - this.startTime : 0;
+  }
+
+  /**
+   * Stop recording once the last chunk has been delivered
+   * @returns {Promise<Object>} - { video (Blob), frames, duration, width, height, mimeType }
+   */
+  stop() {
+    const recorder = this.recorder;
+    if (!recorder) {
+      return Promise.reject(new Error('Not recording'));
+    }
+
+    const duration = this.getDuration();
+    const { width, height } = this.canvas;
+    const { chunks, frames } = this;
+
+    return new Promise((resolve) => {
+      recorder.addEventListener('stop', () => {
+        const video = new Blob(chunks, { type: recorder.mimeType });
+        console.log(`⏹️ Recorded ${(duration / 1000).toFixed(1)}s, ${(video.size / 1e6).toFixed(1)} MB`);
+        resolve({ video, frames, duration, width, height, mimeType: recorder.mimeType });
+      }, { once: true });
+
+      cancelAnimationFrame(this.drawId);
+      this.drawId = null;
+      recorder.stop();
+      recorder.stream.getTracks().forEach(track => track.stop());
+      this.recorder = null;
+      this.canvas = null;
+      this.context = null;
+    });
+  }
+
+  /**
+   * Sidecar JSON for a finished recording
+   * @param {Object} recording - Result of stop()
+   * @param {Object} model - describeModel(config, labels)
+   * @param {Object} filter - DetectionFilter.toJSON()
+   * @param {string} videoFile - Name the video was saved under
+   */
+  static buildSidecar(recording, model, filter, videoFile) {
+    return {
+      version: RESULTS_VERSION,
+      createdAt: new Date().toISOString(),
+      model,
+      filter,
+      video: {
+        file: videoFile,
+        width: recording.width,
+        height: recording.height,
+        mimeType: recording.mimeType,
+        duration: Math.round(recording.duration)
+      },
+      frames: recording.frames
+    };
+  }
+}
@@ -0,0 +1,196 @@
+// Temporal smoothing of tracked detections for a steadier live view
+//
+// Box coordinates follow an exponential moving average per track, and
+// visibility has hysteresis: a track appears once its score reaches the appear
+// threshold and stays until its score has been below the disappear threshold
+// (or it has been missing) for a number of consecutive frames. While it is
+// missing, its last smoothed box is held. Masks and keypoints move with the box.
+import { trackKey } from './tracker.js';
+
+export const DEFAULT_SMOOTHING_OPTIONS = {
+  enabled: false,
+  alpha: 0.5,               // Weight of the newest box in the moving average; 1 turns averaging off
+  appearThreshold: 0.5,     // T1: score a track needs before it is shown
+  disappearThreshold: 0.3,  // T2: score below which a shown track starts to fade out
+  holdFrames: 5             // N: frames below T2 (or missing) before a shown track is hidden
+};
+
+const BOX_SPACES = ['model', 'source', 'display'];
+
+export class TemporalSmoother {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_SMOOTHING_OPTIONS, ...options };
+    this.states = new Map(); // track key -> { detection, box, trackStart, visible, lowFrames }
+  }
+
+  get enabled() {
+    return this.options.enabled;
+  }
+
+  setEnabled(enabled) {
+    this.options.enabled = !!enabled;
+    this.reset();
+  }
+
+  setAlpha(alpha) {
+    this.options.alpha = Math.min(1, Math.max(0.05, Number(alpha)));
+  }
+
+  // Raising T1 above T2 pulls T2 down with it, and the other way round
+  setAppearThreshold(threshold) {
+    this.options.appearThreshold = clamp01(threshold);
+    this.options.disappearThreshold = Math.min(this.options.disappearThreshold, this.options.appearThreshold);
+  }
+
+  setDisappearThreshold(threshold) {
+    this.options.disappearThreshold = clamp01(threshold);
+    this.options.appearThreshold = Math.max(this.options.appearThreshold, this.options.disappearThreshold);
+  }
+
+  setHoldFrames(frames) {
+    this.options.holdFrames = Math.max(1, Math.round(Number(frames)) || 1);
+  }
+
+  /**
+   * Smooth a frame's tracked detections
+   * @param {Object[]} detections - Detections from ObjectTracker.update
+   * @param {number} timestamp - Frame time in milliseconds (the tracker's clock)
+   * @returns {Object[]} - Detections to draw, with averaged boxes; held tracks are included
+   */
+  update(detections, timestamp) {
+    const { alpha, appearThreshold, disappearThreshold, holdFrames } = this.options;
+    const shown = [];
+    const seen = new Set();
+
+    for (const detection of detections) {
+      // Without a track there is nothing to average or hold, so only confident ones show
+      if (detection.trackId === undefined) {
+        if (detection.score >= appearThreshold) {
+          shown.push(detection);
+        }
+        continue;
+      }
+
+      const key = trackKey(detection, timestamp);
+      seen.add(key);
+
+      let state = this.states.get(key);
+      if (!state) {
+        state = { box: copyBox(detection.box), visible: false, lowFrames: 0 };
+        this.states.set(key, state);
+      } else {
+        state.box = averageBox(state.box, detection.box, alpha);
+      }
+      state.detection = detection;
+      state.trackStart = timestamp - detection.trackAge;
+
+      if (detection.score >= appearThreshold) {
+        state.visible = true;
+        state.lowFrames = 0;
+      } else if (detection.score >= disappearThreshold) {
+        state.lowFrames = 0;
+      } else if (state.visible && ++state.lowFrames >= holdFrames) {
+        state.visible = false;
+        state.lowFrames = 0;
+      }
+
+      if (state.visible) {
+        shown.push(moveToBox(detection, state.box));
+      }
+    }
+
+    // Missing tracks count as low frames; shown ones are held at their last box meanwhile
+    for (const [key, state] of this.states) {
+      if (seen.has(key)) continue;
+
+      if (!state.visible || ++state.lowFrames >= holdFrames) {
+        this.states.delete(key);
+        continue;
+      }
+      shown.push({
+        ...moveToBox(state.detection, state.box),
+        trackAge: timestamp - state.trackStart
+      });
+    }
+
+    return shown;
+  }
+
+  reset() {
+    this.states.clear();
+  }
+}
+
+function averageBox(previous, current, alpha) {
+  const box = {};
+  for (const space of BOX_SPACES) {
+    const from = previous[space];
+    const to = current[space];
+    box[space] = to && from
+      ? {
+          x0: from.x0 + alpha * (to.x0 - from.x0),
+          y0: from.y0 + alpha * (to.y0 - from.y0),
+          x1: from.x1 + alpha * (to.x1 - from.x1),
+          y1: from.y1 + alpha * (to.y1 - from.y1)
+        }
+      : to && { ...to };
+  }
+  return box;
+}
+
+// The detection with its box replaced, and its mask and keypoints carried along
+// from the detected box to the new one in every coordinate space
+function moveToBox(detection, box) {
+  const moved = { ...detection, box };
+  if (detection.mask) {
+    const maskBox = {};
+    for (const space of BOX_SPACES) {
+      const rect = detection.mask.box[space];
+      maskBox[space] = rect && mapRect(rect, detection.box[space], box[space]);
+    }
+    moved.mask = { ...detection.mask, box: maskBox };
+  }
+  if (detection.keypoints) {
+    moved.keypoints = detection.keypoints.map(keypoint => {
+      const point = { ...keypoint };
+      for (const space of BOX_SPACES) {
+        if (keypoint[space]) {
+          point[space] = { ...keypoint[space], ...mapPoint(keypoint[space], detection.box[space], box[space]) };
+        }
+      }
+      return point;
+    });
+  }
+  return moved;
+}
+
+function mapRect({ x0, y0, x1, y1 }, from, to) {
+  const topLeft = mapPoint({ x: x0, y: y0 }, from, to);
+  const bottomRight = mapPoint({ x: x1, y: y1 }, from, to);
+  return { x0: topLeft.x, y0: topLeft.y, x1: bottomRight.x, y1: bottomRight.y };
+}
+
+// Map a point from one box to another, keeping its relative position
+function mapPoint({ x, y }, from, to) {
+  if (!from || !to) {
+    return { x, y };
+  }
+  const scaleX = from.x1 > from.x0 ? (to.x1 - to.x0) / (from.x1 - from.x0) : 1;
+  const scaleY = from.y1 > from.y0 ? (to.y1 - to.y0) / (from.y1 - from.y0) : 1;
+  return {
+    x: to.x0 + (x - from.x0) * scaleX,
+    y: to.y0 + (y - from.y0) * scaleY
+  };
+}
+
+function copyBox(box) {
+  const copy = {};
+  for (const space of BOX_SPACES) {
+    copy[space] = box[space] && { ...box[space] };
+  }
+  return copy;
+}
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, Number(value)));
+}
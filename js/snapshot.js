@@ -0,0 +1,137 @@
+// Full-resolution snapshots: the detected frame with its results drawn on top
+
+export const SNAPSHOT_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg'
+};
+
+const JPEG_QUALITY = 0.92;
+
+/**
+ * Draw a frame at its native resolution
+ * @param {ImageBitmap} bitmap - The exact frame that was detected on
+ * @param {boolean} mirror - Flip horizontally, as a selfie preview would show it
+ * @returns {HTMLCanvasElement}
+ */
+export function renderFrame(bitmap, mirror = false) {
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const ctx = canvas.getContext('2d');
+
+  if (mirror) {
+    ctx.translate(canvas.width, 0);
+    ctx.scale(-1, 1);
+  }
+  ctx.drawImage(bitmap, 0, 0);
+  return canvas;
+}
+
+/**
+ * Composite detections over a frame drawn by renderFrame
+ * @param {HTMLCanvasElement} frame - Frame canvas (mirrored or not)
+ * @param {Object[]} detections - Structured detections for that frame
+ * @param {OverlayRenderer} renderer - The renderer used for the live overlay
+ * @param {Object} options - modelType, mirror (must match the frame)
+ * @returns {HTMLCanvasElement}
+ */
+export function renderAnnotated(frame, detections, renderer, { modelType, mirror = false } = {}) {
+  const canvas = document.createElement('canvas');
+  canvas.width = frame.width;
+  canvas.height = frame.height;
+  drawAnnotated(canvas.getContext('2d'), frame, detections, renderer, { modelType, mirror });
+  return canvas;
+}
+
+/**
+ * Draw a frame scaled to the context's canvas with detections in frame space over it
+ * @param {CanvasRenderingContext2D} ctx - Target sized like the frame
+ * @param {CanvasImageSource} frame - Frame the detections were made on (or a later one, when recording)
+ * @param {Object[]} detections - Structured detections
+ * @param {OverlayRenderer} renderer - The renderer used for the live overlay
+ * @param {Object} options - modelType, mirror (flip boxes to match a mirrored frame)
+ */
+export function drawAnnotated(ctx, frame, detections, renderer, { modelType, mirror = false } = {}) {
+  // Boxes are placed in frame space, so they line up at any resolution;
+  // mirroring moves them with the frame while labels stay readable
+  const placed = detections.map(detection => toFrameSpace(detection, ctx.canvas.width, mirror));
+  renderer.render(ctx, placed, { modelType, background: frame });
+}
+
+/**
+ * Scale a rendered canvas down so its longest side is at most maxSize
+ * @returns {HTMLCanvasElement} - The canvas itself if it is already small enough
+ */
+export function scaleCanvas(canvas, maxSize) {
+  const scale = maxSize / Math.max(canvas.width, canvas.height);
+  if (scale >= 1) {
+    return canvas;
+  }
+
+  const scaled = document.createElement('canvas');
+  scaled.width = Math.max(1, Math.round(canvas.width * scale));
+  scaled.height = Math.max(1, Math.round(canvas.height * scale));
+  scaled.getContext('2d').drawImage(canvas, 0, 0, scaled.width, scaled.height);
+  return scaled;
+}
+
+/**
+ * Encode a canvas for download
+ * @param {string} format - 'png' or 'jpeg'
+ * @returns {Promise<Blob>}
+ */
+export function encodeCanvas(canvas, format = 'png') {
+  const type = SNAPSHOT_TYPES[format];
+  if (!type) {
+    return Promise.reject(new Error(`Unsupported snapshot format: ${format}`));
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('The frame could not be encoded'));
+      }
+    }, type, JPEG_QUALITY);
+  });
+}
+
+// Copy of a detection drawn in source pixels instead of display pixels
+function toFrameSpace(detection, frameWidth, mirror) {
+  const placeBox = ({ x0, y0, x1, y1 }) => mirror
+    ? { x0: frameWidth - x1, y0, x1: frameWidth - x0, y1 }
+    : { x0, y0, x1, y1 };
+  const placePoint = ({ x, y }) => ({ x: mirror ? frameWidth - x : x, y });
+
+  const placed = { ...detection, box: { ...detection.box, display: placeBox(detection.box.source) } };
+
+  if (detection.mask) {
+    const { width, height, data, box } = detection.mask;
+    placed.mask = {
+      ...detection.mask,
+      data: mirror ? flipRows(data, width, height) : data,
+      box: { ...box, display: placeBox(box.source) }
+    };
+  }
+
+  if (detection.keypoints) {
+    placed.keypoints = detection.keypoints.map(keypoint => ({
+      ...keypoint,
+      display: placePoint(keypoint.source)
+    }));
+  }
+
+  return placed;
+}
+
+function flipRows(data, width, height) {
+  const flipped = new Uint8ClampedArray(data.length);
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      flipped[row + x] = data[row + width - 1 - x];
+    }
+  }
+  return flipped;
+}
@@ -0,0 +1,253 @@
+// Multi-object tracking across live frames (SORT / ByteTrack style)
+//
+// Each track runs a constant-velocity Kalman filter on its box centre and size.
+// Detections are associated in two passes: confident detections against every
+// track first, then low-confidence detections against the tracks still unmatched,
+// which keeps an object's identity through brief dips in score. Tracks that go
+// unmatched keep predicting for up to maxAge frames to bridge short occlusions.
+
+export const DEFAULT_TRACKER_OPTIONS = {
+  highScoreThreshold: 0.5,  // Detections above this can start new tracks
+  matchIouThreshold: 0.3,   // Minimum IoU between a prediction and a detection
+  maxAge: 30,               // Frames a lost track is kept before removal
+  minHits: 3                // Matches needed before a track is confirmed
+};
+
+// Kalman noise, relative to box height as in SORT/ByteTrack
+const STD_POSITION = 1 / 20;
+const STD_VELOCITY = 1 / 160;
+
+/**
+ * One-dimensional constant-velocity Kalman filter (state: position, velocity)
+ */
+class KalmanAxis {
+  constructor(position, scale) {
+    this.p = position;
+    this.v = 0;
+    // Covariance [[pp, pv], [pv, vv]]
+    const posVar = (2 * STD_POSITION * scale) ** 2;
+    const velVar = (10 * STD_VELOCITY * scale) ** 2;
+    this.pp = posVar;
+    this.pv = 0;
+    this.vv = velVar;
+  }
+
+  predict(scale) {
+    this.p += this.v;
+    const q = (STD_POSITION * scale) ** 2;
+    const qv = (STD_VELOCITY * scale) ** 2;
+    this.pp += 2 * this.pv + this.vv + q;
+    this.pv += this.vv;
+    this.vv += qv;
+  }
+
+  update(measurement, scale) {
+    const r = (STD_POSITION * scale) ** 2;
+    const s = this.pp + r;
+    const kp = this.pp / s;
+    const kv = this.pv / s;
+    const innovation = measurement - this.p;
+
+    this.p += kp * innovation;
+    this.v += kv * innovation;
+
+    const pp = this.pp;
+    const pv = this.pv;
+    this.pp = (1 - kp) * pp;
+    this.pv = (1 - kp) * pv;
+    this.vv -= kv * pv;
+  }
+}
+
+class Track {
+  constructor(id, detection, box, timestamp) {
+    this.id = id;
+    this.classId = detection.classId;
+    this.firstSeen = timestamp;
+    this.lastSeen = timestamp;
+    this.hits = 1;
+    this.timeSinceUpdate = 0;
+    this.detection = detection;
+
+    const [cx, cy, w, h] = toCenterForm(box);
+    this.axes = [
+      new KalmanAxis(cx, h),
+      new KalmanAxis(cy, h),
+      new KalmanAxis(w, h),
+      new KalmanAxis(h, h)
+    ];
+  }
+
+  get height() {
+    return Math.max(1, this.axes[3].p);
+  }
+
+  predict() {
+    const scale = this.height;
+    for (const axis of this.axes) {
+      axis.predict(scale);
+    }
+    this.timeSinceUpdate++;
+  }
+
+  update(detection, box, timestamp) {
+    const measurement = toCenterForm(box);
+    const scale = Math.max(1, measurement[3]);
+    this.axes.forEach((axis, i) => axis.update(measurement[i], scale));
+
+    this.detection = detection;
+    this.lastSeen = timestamp;
+    this.hits++;
+    this.timeSinceUpdate = 0;
+  }
+
+  getPredictedBox() {
+    const [cx, cy, w, h] = this.axes.map(axis => axis.p);
+    return { x0: cx - w / 2, y0: cy - h / 2, x1: cx + w / 2, y1: cy + h / 2 };
+  }
+}
+
+export class ObjectTracker {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_TRACKER_OPTIONS, ...options };
+    this.tracks = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Associate a frame's detections with existing tracks
+   * @param {Object[]} detections - Detections from PostProcessor.postprocess
+   * @param {number} timestamp - Frame time in milliseconds
+   * @returns {Object[]} - Detections with trackId, trackAge (ms), trackHits and trackConfirmed
+   */
+  update(detections, timestamp = performance.now()) {
+    const { highScoreThreshold, matchIouThreshold, maxAge, minHits } = this.options;
+
+    for (const track of this.tracks) {
+      track.predict();
+    }
+
+    const high = [];
+    const low = [];
+    detections.forEach((detection, index) => {
+      (detection.score >= highScoreThreshold ? high : low).push(index);
+    });
+
+    const assignments = new Map(); // detection index -> track
+    const unmatchedTracks = new Set(this.tracks);
+
+    // First pass: confident detections against every track
+    const unmatchedHigh = this.associate(detections, high, unmatchedTracks, assignments, matchIouThreshold);
+
+    // Second pass: weak detections keep lost-looking tracks alive, but never start new ones
+    this.associate(detections, low, unmatchedTracks, assignments, matchIouThreshold);
+
+    for (const [index, track] of assignments) {
+      track.update(detections[index], trackingBox(detections[index]), timestamp);
+    }
+
+    for (const index of unmatchedHigh) {
+      const detection = detections[index];
+      const track = new Track(this.nextId++, detection, trackingBox(detection), timestamp);
+      this.tracks.push(track);
+      assignments.set(index, track);
+    }
+
+    // Drop tracks that have been lost for too long
+    this.tracks = this.tracks.filter(track => track.timeSinceUpdate <= maxAge);
+
+    return detections.map((detection, index) => {
+      const track = assignments.get(index);
+      if (!track) {
+        return detection;
+      }
+      return {
+        ...detection,
+        trackId: track.id,
+        trackAge: timestamp - track.firstSeen,
+        trackHits: track.hits,
+        trackConfirmed: track.hits >= minHits
+      };
+    });
+  }
+
+  /**
+   * Greedy IoU matching between the given detections and candidate tracks
+   * @returns {number[]} - Detection indices left unmatched
+   */
+  associate(detections, indices, tracks, assignments, iouThreshold) {
+    const pairs = [];
+    for (const index of indices) {
+      const box = trackingBox(detections[index]);
+      for (const track of tracks) {
+        if (track.classId !== detections[index].classId) continue;
+        const iou = boxIou(box, track.getPredictedBox());
+        if (iou >= iouThreshold) {
+          pairs.push([iou, index, track]);
+        }
+      }
+    }
+
+    // Best overlaps first
+    pairs.sort((a, b) => b[0] - a[0]);
+
+    const matched = new Set();
+    for (const [, index, track] of pairs) {
+      if (matched.has(index) || !tracks.has(track)) continue;
+      assignments.set(index, track);
+      matched.add(index);
+      tracks.delete(track);
+    }
+
+    return indices.filter(index => !matched.has(index));
+  }
+
+  /**
+   * Tracks that are currently matched or still within their occlusion window
+   */
+  getActiveTracks() {
+    return this.tracks.map(track => ({
+      id: track.id,
+      classId: track.classId,
+      firstSeen: track.firstSeen,
+      lastSeen: track.lastSeen,
+      hits: track.hits,
+      lost: track.timeSinceUpdate > 0,
+      box: track.getPredictedBox()
+    }));
+  }
+
+  reset() {
+    this.tracks = [];
+    this.nextId = 1;
+  }
+}
+
+// Track in frame pixels when available so resizing the view doesn't disturb IDs
+function trackingBox(detection) {
+  return detection.box.source || detection.box.display;
+}
+
+function toCenterForm({ x0, y0, x1, y1 }) {
+  return [(x0 + x1) / 2, (y0 + y1) / 2, x1 - x0, y1 - y0];
+}
+
+/**
+ * Key identifying a tracked detection's track across frames; track ids restart
+ * when the tracker is reset, so the key includes the track's start time too
+ * @param {Object} detection - Detection from ObjectTracker.update, with trackId and trackAge
+ * @param {number} timestamp - Time of the frame the detection is from (the tracker's clock)
+ */
+export function trackKey(detection, timestamp) {
+  return `${detection.trackId}@${Math.round(timestamp - detection.trackAge)}`;
+}
+
+export function boxIou(a, b) {
+  const iw = Math.min(a.x1, b.x1) - Math.max(a.x0, b.x0);
+  if (iw <= 0) return 0;
+  const ih = Math.min(a.y1, b.y1) - Math.max(a.y0, b.y0);
+  if (ih <= 0) return 0;
+  const intersection = iw * ih;
+  const union = (a.x1 - a.x0) * (a.y1 - a.y0) + (b.x1 - b.x0) * (b.y1 - b.y0) - intersection;
+  return union > 0 ? intersection / union : 0;
+}
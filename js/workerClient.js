@@ -0,0 +1,121 @@
+// Main-thread client for the inference worker (see inferenceWorker.js)
+export class InferenceWorkerClient {
+  constructor() {
+    this.worker = null;
+    this.nextRequestId = 1;
+    this.pendingRequests = new Map(); // request id -> { resolve, reject }
+    this.initTimeout = 60000; // Model download and session creation can be slow
+    this.detectTimeout = 15000; // A frame taking longer means the worker is stuck
+  }
+
+  /**
+   * Whether this browser can run the worker pipeline
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof createImageBitmap === 'function';
+  }
+
+  /**
+   * Start the worker, load ONNX Runtime inside it and load a model
+   * @param {number} modelIndex - Index into the model manifest
+   * @param {string} executionProvider - 'auto' or a provider name
+   */
+  async initialize(modelIndex, executionProvider = 'auto') {
+    this.worker = new Worker(new URL('./inferenceWorker.js', import.meta.url), { type: 'module' });
+
+    this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+    this.worker.addEventListener('error', (event) => {
+      console.error('❌ Inference worker error:', event.message);
+      this.rejectAll(new Error(`Inference worker error: ${event.message || 'failed to start'}`));
+    });
+
+    return this.request('init', {
+      baseUrl: new URL('./', document.baseURI).href,
+      modelIndex,
+      executionProvider
+    }, [], this.initTimeout);
+  }
+
+  loadModel(modelIndex) {
+    return this.request('loadModel', { modelIndex }, [], this.initTimeout);
+  }
+
+  setExecutionProvider(executionProvider) {
+    return this.request('setExecutionProvider', { executionProvider }, [], this.initTimeout);
+  }
+
+  /**
+   * Run one frame through the worker pipeline
+   * @param {ImageBitmap} bitmap - Frame to process; ownership is transferred to the worker
+   * @param {Object} config - Current model config from ModelManager
+   * @param {DetectionFilter} filter - Thresholds and class lists
+   * @param {Object} displayDimensions - { width, height } of the overlay
+   * @param {boolean} returnFrame - Hand the bitmap back as result.frame (the caller closes it)
+   * @returns {Promise<Object>} - { detections, inferenceTime, transform, executionProvider, frame? }
+   */
+  detect(bitmap, config, filter, displayDimensions, returnFrame = false) {
+    return this.request('detect', {
+      bitmap,
+      config,
+      filter: filter ? filter.toJSON() : null,
+      displayDimensions,
+      returnFrame
+    }, [bitmap], this.detectTimeout);
+  }
+
+  request(type, payload, transfer = [], timeout = 0) {
+    if (!this.worker) {
+      return Promise.reject(new Error('Inference worker is not running'));
+    }
+
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      let timeoutId = null;
+      if (timeout > 0) {
+        timeoutId = setTimeout(() => {
+          this.pendingRequests.delete(id);
+          reject(new Error(`Inference worker ${type} timed out after ${timeout}ms`));
+        }, timeout);
+      }
+
+      this.pendingRequests.set(id, {
+        resolve: (value) => { clearTimeout(timeoutId); resolve(value); },
+        reject: (error) => { clearTimeout(timeoutId); reject(error); }
+      });
+      this.worker.postMessage({ id, type, ...payload }, transfer);
+    });
+  }
+
+  handleMessage({ id, type, result, message }) {
+    const pending = this.pendingRequests.get(id);
+    if (!pending) {
+      // A frame handed back after its request timed out has no one to close it
+      result?.frame?.close();
+      return;
+    }
+
+    this.pendingRequests.delete(id);
+    if (type === 'error') {
+      pending.reject(new Error(message));
+    } else {
+      pending.resolve(result);
+    }
+  }
+
+  rejectAll(error) {
+    for (const pending of this.pendingRequests.values()) {
+      pending.reject(error);
+    }
+    this.pendingRequests.clear();
+  }
+
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.rejectAll(new Error('Inference worker terminated'));
+  }
+}
@@ -0,0 +1,261 @@
+// Zone and counting line overlay: its own canvas above the detection overlay, which is cleared every frame
+//
+// The layer only takes pointer input in edit mode, where clicks add points to
+// a draft polygon and clicking the first point again closes it. In line mode
+// the second click finishes the line.
+
+const CLOSE_DISTANCE = 14; // px from the first point that closes the draft
+const FILL_OPACITY = 0.18;
+const ARROW_LENGTH = 18; // px of the arrow pointing to the line's "in" side
+
+export class ZoneLayer {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas stacked over the detection canvas
+   * @param {Function} onDraftClosed - (points, mode) when the user closes a draft polygon or line
+   */
+  constructor(canvas, onDraftClosed) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+    this.onDraftClosed = onDraftClosed;
+    this.isEditing = false;
+    this.mode = 'zone'; // 'zone' or 'line'
+    this.draft = []; // Normalized points of the polygon or line being drawn
+    this.zones = [];
+    this.stats = new Map(); // zone id -> ZoneManager.getStats()
+    this.lines = [];
+    this.totals = new Map(); // line id -> LineCounter.getTotals()
+    this.trails = []; // Centroid trails in frame pixels
+    this.frameDimensions = null;
+
+    canvas.addEventListener('pointerdown', (event) => this.handlePointerDown(event));
+  }
+
+  /**
+   * @param {boolean} editing - Whether clicks on the view draw
+   * @param {string} mode - 'zone' draws polygons, 'line' draws two-point counting lines
+   */
+  setEditing(editing, mode = 'zone') {
+    this.isEditing = editing;
+    this.mode = mode;
+    this.canvas.classList.toggle('editing', editing);
+    this.draft = [];
+    this.render();
+  }
+
+  cancelDraft() {
+    this.draft = [];
+    this.render();
+  }
+
+  /**
+   * Match the detection canvas, which follows the video's displayed size
+   */
+  resize(width, height) {
+    if (this.canvas.width === width && this.canvas.height === height) return;
+
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.canvas.style.width = width + 'px';
+    this.canvas.style.height = height + 'px';
+    this.render();
+  }
+
+  /**
+   * Redraw zones, optionally with fresh per-zone stats
+   * @param {Object[]} zones - Zones from ZoneManager
+   * @param {Map} stats - zone id -> ZoneManager.getStats()
+   */
+  update(zones, stats = this.stats) {
+    this.zones = zones;
+    this.stats = stats;
+    this.render();
+  }
+
+  /**
+   * Redraw counting lines with their totals and the trails of tracked objects
+   * @param {Object[]} lines - Lines from LineCounter
+   * @param {Map} totals - line id -> LineCounter.getTotals()
+   * @param {Object[][]} trails - LineCounter.getTrails()
+   * @param {Object} frameDimensions - { width, height } the trails' pixels refer to
+   */
+  updateLines(lines, totals = this.totals, trails = this.trails, frameDimensions = this.frameDimensions) {
+    this.lines = lines;
+    this.totals = totals;
+    this.trails = trails;
+    this.frameDimensions = frameDimensions;
+    this.render();
+  }
+
+  render() {
+    const { canvas, context: ctx } = this;
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+
+    const fontSize = Math.max(10, Math.round(width / 45));
+    ctx.font = `${fontSize}px Arial`;
+    ctx.lineWidth = Math.max(1, Math.round(width / 400));
+
+    for (const zone of this.zones) {
+      const color = zone.color || '#00c2ff';
+      this.tracePolygon(zone.points, true);
+      ctx.save();
+      ctx.globalAlpha = FILL_OPACITY;
+      ctx.fillStyle = color;
+      ctx.fill();
+      ctx.restore();
+      ctx.strokeStyle = color;
+      ctx.stroke();
+
+      // Name and per-class counts at the zone's top-left point
+      const anchor = zone.points.reduce((best, point) => point.y < best.y ? point : best);
+      const counts = (this.stats.get(zone.id)?.counts || []).map(({ label, count }) => `${count} ${label}`);
+      const text = [zone.name, ...counts].join(' · ');
+      ctx.fillStyle = color;
+      ctx.fillText(text, anchor.x * width + 4, Math.max(fontSize, anchor.y * height - 4));
+    }
+
+    this.renderTrails();
+    for (const line of this.lines) {
+      this.renderLine(line, fontSize);
+    }
+
+    if (this.isEditing && this.draft.length > 0) {
+      ctx.save();
+      ctx.setLineDash([6, 4]);
+      ctx.strokeStyle = '#fff';
+      this.tracePolygon(this.draft, false);
+      ctx.stroke();
+      ctx.restore();
+
+      ctx.fillStyle = '#fff';
+      this.draft.forEach((point, index) => {
+        ctx.beginPath();
+        ctx.arc(point.x * width, point.y * height, index === 0 ? 6 : 4, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    }
+  }
+
+  renderTrails() {
+    const { canvas, context: ctx, frameDimensions } = this;
+    if (!frameDimensions || this.lines.length === 0) return;
+
+    const scaleX = canvas.width / frameDimensions.width;
+    const scaleY = canvas.height / frameDimensions.height;
+    ctx.save();
+    ctx.globalAlpha = 0.6;
+    ctx.strokeStyle = '#fff';
+    for (const trail of this.trails) {
+      if (trail.length < 2) continue;
+      ctx.beginPath();
+      trail.forEach((point, index) => {
+        if (index === 0) {
+          ctx.moveTo(point.x * scaleX, point.y * scaleY);
+        } else {
+          ctx.lineTo(point.x * scaleX, point.y * scaleY);
+        }
+      });
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  renderLine(line, fontSize) {
+    const { width, height } = this.canvas;
+    const ctx = this.context;
+    const ax = line.a.x * width;
+    const ay = line.a.y * height;
+    const bx = line.b.x * width;
+    const by = line.b.y * height;
+
+    ctx.strokeStyle = line.color;
+    ctx.fillStyle = line.color;
+    ctx.beginPath();
+    ctx.moveTo(ax, ay);
+    ctx.lineTo(bx, by);
+    ctx.stroke();
+
+    // Arrow from the midpoint towards the "in" side (right of a→b on screen)
+    const length = Math.hypot(bx - ax, by - ay) || 1;
+    const nx = -(by - ay) / length;
+    const ny = (bx - ax) / length;
+    const mx = (ax + bx) / 2;
+    const my = (ay + by) / 2;
+    const tipX = mx + nx * ARROW_LENGTH;
+    const tipY = my + ny * ARROW_LENGTH;
+    ctx.beginPath();
+    ctx.moveTo(mx, my);
+    ctx.lineTo(tipX, tipY);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(tipX, tipY);
+    ctx.lineTo(tipX - nx * 6 + ny * 5, tipY - ny * 6 - nx * 5);
+    ctx.lineTo(tipX - nx * 6 - ny * 5, tipY - ny * 6 + nx * 5);
+    ctx.closePath();
+    ctx.fill();
+
+    const totals = this.totals.get(line.id) || { in: 0, out: 0 };
+    const text = `${line.name} · in ${totals.in} · out ${totals.out}`;
+    const top = ay < by ? { x: ax, y: ay } : { x: bx, y: by };
+    ctx.fillText(text, top.x + 4, Math.max(fontSize, top.y - 4));
+  }
+
+  tracePolygon(points, close) {
+    const { width, height } = this.canvas;
+    const ctx = this.context;
+    ctx.beginPath();
+    points.forEach((point, index) => {
+      const x = point.x * width;
+      const y = point.y * height;
+      if (index === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    });
+    if (close) {
+      ctx.closePath();
+    }
+  }
+
+  handlePointerDown(event) {
+    if (!this.isEditing) return;
+    event.preventDefault();
+
+    const rect = this.canvas.getBoundingClientRect();
+    const x = event.clientX - rect.left;
+    const y = event.clientY - rect.top;
+
+    if (this.mode === 'line') {
+      this.draft.push({ x: x / rect.width, y: y / rect.height });
+      if (!this.closeDraft()) {
+        this.render();
+      }
+      return;
+    }
+
+    // Clicking the first point closes the polygon
+    const first = this.draft[0];
+    if (first && this.draft.length >= 3 &&
+        Math.hypot(first.x * rect.width - x, first.y * rect.height - y) <= CLOSE_DISTANCE) {
+      this.closeDraft();
+      return;
+    }
+
+    this.draft.push({ x: x / rect.width, y: y / rect.height });
+    this.render();
+  }
+
+  // Hand a finished draft to the app; returns false if it has too few points
+  closeDraft() {
+    if (this.draft.length < (this.mode === 'line' ? 2 : 3)) {
+      return false;
+    }
+
+    const points = this.draft;
+    this.draft = [];
+    this.onDraftClosed(points, this.mode);
+    this.render();
+    return true;
+  }
+}
@@ -0,0 +1,209 @@
+// Polygon zones of interest with per-zone counts, dwell time and enter/exit events
+//
+// Zone points are normalized to the frame (0-1), so zones stay put when the
+// view is resized. An object is inside a zone when the bottom-center of its
+// box is, which is where people and furniture touch the floor.
+
+import { trackKey } from './tracker.js';
+
+const STORAGE_KEY = 'object-detection.zones';
+
+const ZONE_COLORS = ['#00c2ff', '#ffb21d', '#48f90a', '#ff37c7', '#8438ff', '#ff701f'];
+
+const DEFAULT_ZONE_OPTIONS = {
+  exitGrace: 500 // ms a tracked object may go missing before it counts as having left
+};
+
+export class ZoneManager {
+  /**
+   * @param {Storage} storage - Where zones persist (localStorage by default)
+   */
+  constructor(storage = globalThis.localStorage ?? null, options = {}) {
+    this.storage = storage;
+    this.options = { ...DEFAULT_ZONE_OPTIONS, ...options };
+    this.zones = [];
+    this.state = new Map(); // zone id -> { counts, occupants, lastTimestamp }
+    this.nextId = 1;
+  }
+
+  load() {
+    this.zones = [];
+    try {
+      const saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) || '[]');
+      this.zones = saved.filter(isValidZone);
+    } catch (error) {
+      console.warn('⚠️ Ignoring saved zones:', error.message);
+    }
+    this.nextId = this.zones.reduce((max, zone) => Math.max(max, zone.id), 0) + 1;
+    this.state.clear();
+    return this.zones;
+  }
+
+  save() {
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.zones));
+    } catch (error) {
+      console.warn('⚠️ Could not save zones:', error.message);
+    }
+  }
+
+  /**
+   * Add a zone and persist it
+   * @param {string} name - Shown on the overlay and in events
+   * @param {Object[]} points - At least three { x, y } points, normalized to the frame
+   */
+  addZone(name, points) {
+    if (points.length < 3) {
+      throw new Error('A zone needs at least three points');
+    }
+
+    const id = this.nextId++;
+    const zone = {
+      id,
+      name: name.trim() || `Zone ${id}`,
+      color: ZONE_COLORS[(id - 1) % ZONE_COLORS.length],
+      points: points.map(({ x, y }) => ({ x: clamp01(x), y: clamp01(y) }))
+    };
+    this.zones.push(zone);
+    this.save();
+    console.log(`📐 Added zone "${zone.name}" with ${points.length} points`);
+    return zone;
+  }
+
+  removeZone(id) {
+    this.zones = this.zones.filter(zone => zone.id !== id);
+    this.state.delete(id);
+    this.save();
+  }
+
+  /**
+   * Update occupancy from a frame's detections
+   * @param {Object[]} detections - Detections, tracked or not; only tracked ones have dwell times
+   * @param {Object} frameDimensions - { width, height } of the frame the source boxes are in
+   * @param {number} timestamp - Frame time in milliseconds (the tracker's clock)
+   * @returns {Object[]} - { type ('enter' or 'exit'), zone, trackId, classId, label, time, dwell (ms) }
+   */
+  update(detections, frameDimensions, timestamp) {
+    const events = [];
+    const anchors = detections.map(detection => anchorPoint(detection, frameDimensions));
+
+    for (const zone of this.zones) {
+      let state = this.state.get(zone.id);
+      // Time going backwards (a seek, or a new clock) ends every stay without events
+      if (!state || timestamp < state.lastTimestamp) {
+        state = { counts: new Map(), occupants: new Map(), lastTimestamp: timestamp };
+        this.state.set(zone.id, state);
+      }
+      state.lastTimestamp = timestamp;
+      state.counts = new Map();
+
+      const present = new Set();
+      detections.forEach((detection, index) => {
+        if (!anchors[index] || !pointInPolygon(anchors[index], zone.points)) return;
+        state.counts.set(detection.label, (state.counts.get(detection.label) || 0) + 1);
+
+        if (detection.trackId === undefined || !detection.trackConfirmed) return;
+        const key = trackKey(detection, timestamp);
+        present.add(key);
+
+        let occupant = state.occupants.get(key);
+        if (!occupant) {
+          occupant = {
+            trackId: detection.trackId,
+            classId: detection.classId,
+            label: detection.label,
+            enteredAt: timestamp,
+            lastSeen: timestamp
+          };
+          state.occupants.set(key, occupant);
+          events.push(createEvent('enter', zone, occupant, timestamp));
+        }
+        occupant.lastSeen = timestamp;
+      });
+
+      for (const [key, occupant] of state.occupants) {
+        if (present.has(key) || timestamp - occupant.lastSeen <= this.options.exitGrace) continue;
+        state.occupants.delete(key);
+        events.push(createEvent('exit', zone, occupant, occupant.lastSeen));
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Current counts and occupants of a zone
+   * @returns {Object} - { counts: [{ label, count }], occupants: [{ trackId, label, dwell }] }
+   */
+  getStats(zoneId) {
+    const state = this.state.get(zoneId);
+    if (!state) {
+      return { counts: [], occupants: [] };
+    }
+
+    return {
+      counts: Array.from(state.counts, ([label, count]) => ({ label, count })),
+      occupants: Array.from(state.occupants.values(), occupant => ({
+        trackId: occupant.trackId,
+        label: occupant.label,
+        dwell: occupant.lastSeen - occupant.enteredAt
+      }))
+    };
+  }
+
+  // Forget who is where, e.g. when switching inputs; zones themselves are kept
+  resetOccupancy() {
+    this.state.clear();
+  }
+}
+
+/**
+ * Ray-casting point-in-polygon test
+ * @param {Object} point - { x, y }
+ * @param {Object[]} polygon - { x, y } vertices in order
+ */
+export function pointInPolygon({ x, y }, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Bottom-center of a detection's box, normalized to the frame
+ * @returns {Object|null} - { x, y }, or null without a source box or frame size
+ */
+export function anchorPoint(detection, { width, height }) {
+  const box = detection.box.source;
+  if (!box || !width || !height) {
+    return null;
+  }
+  return { x: (box.x0 + box.x1) / 2 / width, y: box.y1 / height };
+}
+
+function createEvent(type, zone, occupant, time) {
+  return {
+    type,
+    zone: { id: zone.id, name: zone.name },
+    trackId: occupant.trackId,
+    classId: occupant.classId,
+    label: occupant.label,
+    time,
+    dwell: time - occupant.enteredAt
+  };
+}
+
+function isValidZone(zone) {
+  return zone && Number.isInteger(zone.id) && typeof zone.name === 'string' &&
+    Array.isArray(zone.points) && zone.points.length >= 3 &&
+    zone.points.every(point => Number.isFinite(point.x) && Number.isFinite(point.y));
+}
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
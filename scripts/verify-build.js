@@ -68,6 +68,20 @@ async function verifyBuild() {
       return false;
     }
 
+    // Check every model listed in the manifest was copied
+    try {
+      const manifest = JSON.parse(await fs.readFile(resolve(modelsDir, 'manifest.json'), 'utf-8'));
+      const missingModels = manifest.models.filter(model => !modelFiles.includes(model.file));
+      if (missingModels.length > 0) {
+        console.error(`❌ Models missing from build: ${missingModels.map(model => model.file).join(', ')}`);
+        return false;
+      }
+      console.log(`✅ Model manifest lists ${manifest.models.length} models, all present`);
+    } catch (error) {
+      console.error('❌ Missing or invalid models/manifest.json:', error.message);
+      return false;
+    }
+
     // Check index.html content
     const indexPath = resolve(distDir, 'index.html');
     const indexContent = await fs.readFile(indexPath, 'utf-8');
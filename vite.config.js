@@ -1,5 +1,5 @@
 import { defineConfig } from 'vite';
-import { copyFileSync, mkdirSync, existsSync } from 'fs';
+import { copyFileSync, mkdirSync, existsSync, readFileSync } from 'fs';
 import { join } from 'path';
 
 export default defineConfig({
@@ -100,22 +100,26 @@ export default defineConfig({
           });
           console.log('✅ Copied WASM files for ONNX Runtime');
           
-          // Copy model files
-          const modelFiles = [
-            'yolov10n.onnx',
-            'yolov7-tiny_256x256.onnx',
-            'yolov7-tiny_320x320.onnx', 
-            'yolov7-tiny_640x640.onnx'
-          ];
+          // Copy the model manifest and every model it lists
+          const manifestPath = join('models', 'manifest.json');
+          const manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
+          copyFileSync(manifestPath, join(modelsDir, 'manifest.json'));
+          
+          // Label files ('coco' is built into the app bundle)
+          const labelFiles = manifest.models
+            .map(model => model.labels)
+            .filter(labels => labels && labels !== 'coco');
           
-          modelFiles.forEach(file => {
+          [...manifest.models.map(model => model.file), ...new Set(labelFiles)].forEach(file => {
             const srcPath = join('models', file);
             const destPath = join(modelsDir, file);
             if (existsSync(srcPath)) {
               copyFileSync(srcPath, destPath);
+            } else {
+              console.warn(`⚠️ File listed in manifest not found: ${srcPath}`);
             }
           });
-          console.log('✅ Copied model files for local fallback');
+          console.log(`✅ Copied ${manifest.models.length} model files for local fallback`);
           
         } catch (error) {
           console.warn('⚠️ Warning copying CDN fallback assets:', error.message);